@@ -0,0 +1,143 @@
+// Import the data loader and the shared single-matchup pipeline from utils
+const { loadData, describeData } = require('../utils/nba-data');
+const { countRequestedSimulations, projectMatchup } = require('../utils/projection-pipeline');
+
+/**
+ * @fileoverview API route for projecting a whole slate of matchups in one call.
+ * Accepts a POST body of the form:
+ *   {
+ *     "season": "2024-25",
+ *     "defaults": { "projected_minutes": 32, "usage_adjustment": 1.0 },
+ *     "matchups": [
+ *       { "player_name": "Nikola Jokic", "opponent_team": "MEM", "projected_minutes": 35 },
+ *       { "player_name": "Jalen Brunson", "opponent_team": "BOS", "usage_adjustment": 1.1, "player_position": "PG" }
+ *     ]
+ *   }
+ * Data files are loaded once per request. Each entry is projected independently,
+ * so one bad entry is reported in its own result without failing the batch.
+ * Simulated distributions (simulate/prop_line) share a per-request budget of
+ * simulated games; a slate asking for more is rejected as a whole.
+ */
+
+// Upper bound on entries per request to stay well inside the function time limit
+const MAX_SLATE_SIZE = 500;
+
+// Upper bound on simulated games across all entries (roughly 3 s of simulation)
+const MAX_SLATE_SIMULATIONS = 2000000;
+
+/**
+ * Parses the request body, which may arrive as a string if no JSON content type was sent.
+ * @param {any} body - The raw request body.
+ * @returns {Object|null} The parsed body, or null if it is not valid JSON.
+ */
+function parseBody(body) {
+  if (typeof body === 'string') {
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      return null;
+    }
+  }
+  return body && typeof body === 'object' ? body : null;
+}
+
+// Main API handler for Next.js API Routes
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Requested-With, Accept');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed', message: `Only POST method is supported for ${req.url}` });
+  }
+
+  try {
+    const body = parseBody(req.body);
+    if (!body) {
+      return res.status(400).json({ error: 'Request body must be a JSON object' });
+    }
+
+    const { matchups, defaults = {} } = body;
+
+    // Critical Validation of the Batch
+    if (!Array.isArray(matchups) || matchups.length === 0) {
+      return res.status(400).json({ error: 'Missing or empty matchups array' });
+    }
+    if (matchups.length > MAX_SLATE_SIZE) {
+      return res.status(400).json({ error: `A slate cannot contain more than ${MAX_SLATE_SIZE} matchups` });
+    }
+    if (typeof defaults !== 'object' || Array.isArray(defaults) || defaults === null) {
+      return res.status(400).json({ error: 'defaults must be an object' });
+    }
+    const totalSimulations = matchups.reduce((total, matchup) => (
+      matchup && typeof matchup === 'object' && !Array.isArray(matchup)
+        ? total + countRequestedSimulations({ ...defaults, ...matchup })
+        : total
+    ), 0);
+    if (totalSimulations > MAX_SLATE_SIMULATIONS) {
+      return res.status(400).json({
+        error: `A slate cannot request more than ${MAX_SLATE_SIMULATIONS} simulations in total. ` +
+          `Received: ${totalSimulations}. Lower simulations per entry or simulate fewer entries.`,
+        code: 'SIMULATION_BUDGET_EXCEEDED',
+        max_simulations: MAX_SLATE_SIMULATIONS,
+        requested_simulations: totalSimulations
+      });
+    }
+
+    // Load Data once for the whole slate, for the requested season (latest if not given)
+    const data = loadData(body.season);
+
+    const results = matchups.map((matchup, index) => {
+      if (!matchup || typeof matchup !== 'object' || Array.isArray(matchup)) {
+        return { index, success: false, error: 'Matchup entry must be an object' };
+      }
+
+      try {
+        // Per-entry values override the slate-wide defaults
+        return { index, success: true, ...projectMatchup(data, { ...defaults, ...matchup }) };
+      } catch (error) {
+        return {
+          index,
+          success: false,
+          player_name: matchup.player_name,
+          opponent_team: matchup.opponent_team,
+          error: error.message,
+          ...error.details
+        };
+      }
+    });
+
+    const succeeded = results.filter(result => result.success).length;
+
+    // Return Results
+    res.status(200).json({
+      success: true,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded
+      },
+      results,
+      metadata: {
+        calculation_date: new Date().toISOString(),
+        ...describeData(data)
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('API Error during slate projection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during slate projection',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,60 @@
+// Import the dataset registry from utils
+const { listSeasons, getLatestSeason, loadSeason } = require('../utils/dataset-registry');
+
+/**
+ * @fileoverview API route describing the available season datasets.
+ * Lists every complete season found in `data/`, with each dataset's file,
+ * last_updated, source and any rows dropped by schema validation. Pass
+ * `season` to report on a single season.
+ */
+
+// Main API handler for Next.js API Routes
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Requested-With, Accept');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed', message: `Only GET method is supported for ${req.url}` });
+  }
+
+  try {
+    const { season } = req.query;
+    const seasons = season ? [season] : listSeasons();
+
+    const reports = seasons.map(label => {
+      try {
+        const loaded = loadSeason(label);
+        return { season: loaded.season, valid: true, datasets: loaded.validation };
+      } catch (error) {
+        if (error.statusCode) {
+          throw error;
+        }
+        // A season whose files fail file-level validation is reported rather than hidden
+        return { season: label, valid: false, error: error.message };
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      latest_season: getLatestSeason(),
+      seasons: reports
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('API Error while listing datasets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while listing datasets',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,49 @@
+// Import the browser bundle builder from utils
+const { buildClientBundle } = require('../utils/client-bundle');
+
+/**
+ * @fileoverview API route serving the projection engine to the browser.
+ * Returns the calculation and data-lookup modules from utils/ as one script
+ * that defines `ProjectionEngine`, so the offline client computes projections
+ * with the same code as the API. The ETag is the bundle version.
+ */
+
+// Main API handler for Next.js API Routes
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Requested-With, Accept');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed', message: `Only GET method is supported for ${req.url}` });
+  }
+
+  try {
+    const bundle = buildClientBundle();
+    const etag = `"${bundle.version}"`;
+
+    res.setHeader('ETag', etag);
+    // Revalidate on every load so a deploy reaches clients immediately
+    res.setHeader('Cache-Control', 'no-cache');
+    if (req.headers['if-none-match'] === etag) {
+      res.status(304).end();
+      return;
+    }
+
+    res.setHeader('Content-Type', 'application/javascript; charset=utf-8');
+    res.status(200).send(bundle.source);
+
+  } catch (error) {
+    console.error('API Error while building the engine bundle:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while building the engine bundle',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,55 @@
+// Import the shared data helpers and matchup explorer from utils
+const { loadData, describeData } = require('../utils/nba-data');
+const { exploreMatchups } = require('../utils/matchup-explorer');
+
+/**
+ * @fileoverview API route projecting one player against every opponent.
+ * Takes the same player parameters as /api/calculate-projection (minus the
+ * opponent and game-specific Vegas/simulation options) and returns a ranking
+ * of all opponents with each one's pace and DVP factors. `sort_by` and `order`
+ * control the ranking.
+ */
+
+// Main API handler for Next.js API Routes
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Requested-With, Accept');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed', message: `Only GET method is supported for ${req.url}` });
+  }
+
+  try {
+    // Load Data for the requested season (latest if not given)
+    const data = loadData(req.query.season);
+
+    const result = exploreMatchups(data, req.query);
+
+    // Return Results
+    res.status(200).json({
+      success: true,
+      ...result,
+      metadata: {
+        calculation_date: new Date().toISOString(),
+        ...describeData(data)
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('API Error while exploring matchups:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while exploring matchups',
+      message: error.message
+    });
+  }
+}
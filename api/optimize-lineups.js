@@ -0,0 +1,85 @@
+// Import the data loader and the lineup optimizer from utils
+const { loadData, describeData } = require('../utils/nba-data');
+const { buildLineups } = require('../utils/lineup-optimizer');
+
+/**
+ * @fileoverview API route building DFS lineups from a salary file.
+ * Accepts a POST body of the form:
+ *   {
+ *     "season": "2024-25",
+ *     "csv": "<contents of a FanDuel or DraftKings salary CSV>",
+ *     "site": "fanduel",
+ *     "lineups": 20,
+ *     "locks": ["Jayson Tatum"],
+ *     "excludes": ["12345-67890"],
+ *     "max_per_team": 3
+ *   }
+ * Only `csv` is required; the site is detected from the file's columns. Every
+ * player is projected for the site's scoring and the top distinct lineups under
+ * the salary cap, roster slots and team limit are returned, best first.
+ */
+
+/**
+ * Parses the request body, which may arrive as a string if no JSON content type was sent.
+ * @param {any} body - The raw request body.
+ * @returns {Object|null} The parsed body, or null if it is not valid JSON.
+ */
+function parseBody(body) {
+  if (typeof body === 'string') {
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      return null;
+    }
+  }
+  return body && typeof body === 'object' ? body : null;
+}
+
+// Main API handler for Next.js API Routes
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Requested-With, Accept');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed', message: `Only POST method is supported for ${req.url}` });
+  }
+
+  try {
+    const body = parseBody(req.body);
+    if (!body) {
+      return res.status(400).json({ error: 'Request body must be a JSON object' });
+    }
+
+    // Load Data for the requested season (latest if not given)
+    const data = loadData(body.season);
+
+    const result = buildLineups(data, body);
+
+    // Return Results
+    res.status(200).json({
+      success: true,
+      ...result,
+      metadata: {
+        calculation_date: new Date().toISOString(),
+        ...describeData(data)
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('API Error while optimizing lineups:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while optimizing lineups',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,74 @@
+// Import the shared data helpers from utils
+const { loadData, describeData, searchPlayers } = require('../utils/nba-data');
+const { DVP_POSITIONS } = require('../utils/dataset-registry');
+const { getPlayerPositions } = require('../utils/positions');
+
+/**
+ * @fileoverview API route for searching the player dataset.
+ * Drives the player autocomplete. `q` matches a name prefix or any fragment of
+ * the name (accent and punctuation insensitive); `team` and `position` filter
+ * the results. Each hit includes the team, position and season minutes so the
+ * UI can pre-fill the projection form.
+ */
+
+// Results returned when no limit is given, and the most a caller may request
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Main API handler for Next.js API Routes
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Requested-With, Accept');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed', message: `Only GET method is supported for ${req.url}` });
+  }
+
+  try {
+    const { q = '', team, position, limit, season } = req.query;
+
+    // Critical Input Validation
+    if (position && !DVP_POSITIONS.includes(String(position).toUpperCase())) {
+      return res.status(400).json({ error: `position must be one of ${DVP_POSITIONS.join(', ')}` });
+    }
+    const parsedLimit = limit === undefined || limit === '' ? DEFAULT_LIMIT : Number(limit);
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LIMIT) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+
+    const data = loadData(season);
+    const players = searchPlayers(data.playerStats, { query: q, team, position, limit: parsedLimit });
+
+    res.status(200).json({
+      success: true,
+      query: { q, team: team || null, position: position || null, limit: parsedLimit },
+      players: players.map(player => ({
+        name: player.player,
+        team: player.team,
+        position: player.position,
+        positions: getPlayerPositions(player),
+        games: player.games,
+        minutes_per_game: player.minutes_per_game,
+        points_per_game: player.points_per_game
+      })),
+      metadata: describeData(data)
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('API Error while searching players:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while searching players',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,51 @@
+// Import the shared data loader from utils
+const { loadData } = require('../utils/nba-data');
+
+/**
+ * @fileoverview API route serving a season's validated datasets to the browser.
+ * Returns the player stats, team pace and DVP data exactly as the API uses
+ * them (after schema validation) plus the validation report, so the offline
+ * client's projections match the server's. Pass `season` for a specific
+ * season; the latest is used otherwise. The service worker caches the response.
+ */
+
+// Main API handler for Next.js API Routes
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Requested-With, Accept');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed', message: `Only GET method is supported for ${req.url}` });
+  }
+
+  try {
+    // Load Data for the requested season (latest if not given)
+    const data = loadData(req.query.season);
+
+    res.status(200).json({
+      success: true,
+      season: data.season,
+      player_stats: data.playerStats,
+      team_pace: data.teamPace,
+      dvp_data: data.dvpData,
+      validation: data.validation
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('API Error while loading season data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while loading season data',
+      message: error.message
+    });
+  }
+}
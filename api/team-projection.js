@@ -0,0 +1,56 @@
+// Import the shared data helpers and team projection from utils
+const { loadData, describeData } = require('../utils/nba-data');
+const { projectTeam } = require('../utils/team-projection');
+
+/**
+ * @fileoverview API route projecting every player on a team against one opponent.
+ * Takes `team` and `opponent_team` plus the shared options of
+ * /api/calculate-projection (usage_adjustment defaults to 1.0 for every player,
+ * minutes are projected per player). Returns each player's share of the expected
+ * team score and the unexplained remainder; `reconcile=true` scales the players
+ * so they sum to the share of the expected score their minutes cover.
+ */
+
+// Main API handler for Next.js API Routes
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Requested-With, Accept');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed', message: `Only GET method is supported for ${req.url}` });
+  }
+
+  try {
+    // Load Data for the requested season (latest if not given)
+    const data = loadData(req.query.season);
+
+    const result = projectTeam(data, req.query);
+
+    // Return Results
+    res.status(200).json({
+      success: true,
+      ...result,
+      metadata: {
+        calculation_date: new Date().toISOString(),
+        ...describeData(data)
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('API Error while projecting team:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while projecting team',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,27 @@
+// Import the OpenAPI document for the versioned API from utils
+const { OPENAPI_DOCUMENT } = require('../../utils/openapi');
+
+/**
+ * @fileoverview API route publishing the OpenAPI document for /api/v1.
+ */
+
+// Main API handler for Next.js API Routes
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Requested-With, Accept');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: { code: 'METHOD_NOT_ALLOWED', message: `Only GET method is supported for ${req.url}`, field: null }
+    });
+  }
+
+  res.status(200).json(OPENAPI_DOCUMENT);
+}
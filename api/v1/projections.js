@@ -0,0 +1,134 @@
+// Import the data loader, the shared single-matchup pipeline and the v1 contract from utils
+const { loadData, describeData } = require('../../utils/nba-data');
+const { projectMatchup } = require('../../utils/projection-pipeline');
+const { validateAgainstSchema } = require('../../utils/openapi');
+
+/**
+ * @fileoverview Versioned API route for single projections (POST /api/v1/projections).
+ * Takes the same parameters as /api/calculate-projection as a typed JSON body
+ * (numbers, booleans and arrays rather than strings; usage_adjustment defaults
+ * to 1.0). The body is validated against the ProjectionRequest schema of the
+ * OpenAPI document and the response against ProjectionResponse before it is
+ * sent. Every error response has the form
+ *   { "success": false, "error": { code, message, field }, "errors": [...] }
+ * where `code` is machine-readable and `field` is the path of the offending
+ * body property (e.g. "teammates_out[1]").
+ */
+
+/**
+ * Parses the request body, which may arrive as a string if no JSON content type was sent.
+ * @param {any} body - The raw request body.
+ * @returns {Object|null} The parsed body, or null if it is not a JSON object.
+ */
+function parseBody(body) {
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (error) {
+      return null;
+    }
+  }
+  return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+}
+
+/**
+ * Sends an error response.
+ * @param {Object} res - The response.
+ * @param {number} statusCode - HTTP status code.
+ * @param {Object[]} errors - Errors as { code, message, field, details? }; the first is the primary error.
+ */
+function sendErrors(res, statusCode, errors) {
+  res.status(statusCode).json({ success: false, error: errors[0], errors });
+}
+
+/**
+ * Converts a thrown request error into an API error.
+ * @param {Error} error - Error with `statusCode`, and `code`, `field` and `details` when set.
+ * @returns {Object} { code, message, field, details? }.
+ */
+function toApiError(error) {
+  const apiError = {
+    code: error.code || 'INVALID_PARAMETER',
+    message: error.message,
+    field: error.field || null
+  };
+  if (error.details) {
+    apiError.details = error.details;
+  }
+  return apiError;
+}
+
+// Main API handler for Next.js API Routes
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Requested-With, Accept');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return sendErrors(res, 405, [{
+      code: 'METHOD_NOT_ALLOWED',
+      message: `Only POST method is supported for ${req.url}`,
+      field: null
+    }]);
+  }
+
+  try {
+    const body = parseBody(req.body);
+    if (!body) {
+      return sendErrors(res, 400, [{ code: 'INVALID_BODY', message: 'Request body must be a JSON object', field: null }]);
+    }
+
+    const problems = validateAgainstSchema('ProjectionRequest', body);
+    if (problems.length > 0) {
+      return sendErrors(res, 400, problems);
+    }
+
+    // Load Data for the requested season (latest if not given)
+    const data = loadData(body.season);
+
+    // Validate parameters, find player/opponent/DVP and perform the calculation
+    const result = projectMatchup(data, { usage_adjustment: 1, ...body });
+
+    // The pipeline only warns about missing DVP rows (neutral factors used instead)
+    const response = {
+      success: true,
+      ...result,
+      warnings: result.warnings.map(message => ({ code: 'MISSING_DVP', message, field: 'opponent_team' })),
+      metadata: {
+        api_version: '1',
+        calculation_date: new Date().toISOString(),
+        ...describeData(data)
+      }
+    };
+
+    // Never send a response that breaks the published contract
+    const responseProblems = validateAgainstSchema('ProjectionResponse', response);
+    if (responseProblems.length > 0) {
+      console.error('API v1 response failed validation:', responseProblems);
+      return sendErrors(res, 500, responseProblems.map(problem => ({
+        code: 'INVALID_RESPONSE',
+        message: `Response ${problem.message}`,
+        field: problem.field
+      })));
+    }
+
+    // Return Results
+    res.status(200).json(response);
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendErrors(res, error.statusCode, [toApiError(error)]);
+    }
+    console.error('API v1 Error during projection:', error);
+    sendErrors(res, 500, [{
+      code: 'INTERNAL_ERROR',
+      message: `Internal server error during projection calculation: ${error.message}`,
+      field: null
+    }]);
+  }
+}
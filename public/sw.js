@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Service worker for offline projections.
+ * Caches the page, the projection engine bundle (/api/engine) and season
+ * datasets (/api/season-data) so the calculator can compute projections
+ * locally when the API is unreachable. These requests go to the network first
+ * and fall back to the cache; everything else passes through untouched.
+ */
+
+const CACHE_NAME = 'projection-offline-v1';
+
+// Fetched on install so the latest season works offline after the first visit
+const PRECACHE_URLS = ['/', '/api/engine', '/api/season-data'];
+
+// Paths served from the cache when the network fails
+const OFFLINE_PATHS = ['/', '/index.html', '/api/engine', '/api/season-data'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin || !OFFLINE_PATHS.includes(url.pathname)) {
+    return;
+  }
+
+  event.respondWith(
+    fetch(event.request)
+      .then(response => {
+        if (response.ok) {
+          // Each season is cached under its own URL (?season=...)
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(event.request, copy));
+        }
+        return response;
+      })
+      .catch(() => caches.match(event.request).then(cached => {
+        if (cached) {
+          return cached;
+        }
+        throw new Error(`${url.pathname} is not available offline`);
+      }))
+  );
+});
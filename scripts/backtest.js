@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Scores projections against actual game results.
+ *
+ * Usage:
+ *   node scripts/backtest.js --games game_logs.csv [--season 2024-25] \
+ *     [--usage 1.0] [--shrinkage position|league] [--out report.json|report.csv] [--details]
+ *
+ * The game log is a CSV (or a JSON array of objects) with one row per player
+ * game: Date, Player, Opponent (or Opp), Minutes (or MP, "mm:ss" accepted) and
+ * Points (or PTS). Optional Game Total and Spread columns are passed through
+ * as Vegas lines. Each row runs through `projectMatchup` with the player's
+ * actual minutes (overtime games above 48 minutes included), so the report
+ * isolates the per-minute scoring model from minutes projection. --shrinkage
+ * regresses shooting percentages as the API's `shrinkage` parameter does, so
+ * both models can be compared on the same games.
+ *
+ * Reported for every game, and grouped by position, opponent and minutes bucket:
+ *   MAE   mean absolute error, |projected − actual|
+ *   RMSE  root mean squared error
+ *   bias  mean of (projected − actual); positive means the model projects too high
+ *
+ * The report is JSON by default; an --out path ending in .csv writes the
+ * grouped metrics as CSV instead. --details adds every game's projection to the
+ * JSON report. Note that the datasets are season averages, so backtesting games
+ * from the same season includes those games in the inputs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { loadData } = require('../utils/nba-data');
+const { projectMatchup } = require('../utils/projection-pipeline');
+const { parseShrinkageOption } = require('../utils/shooting-regression');
+
+// Most minutes a player can log: regulation plus four overtimes. Actual minutes
+// above the projection limit of 48 are overtime games, which are scored too
+const MAX_ACTUAL_MINUTES = 68;
+
+// Upper bounds (exclusive) of the actual-minutes buckets
+const MINUTES_BUCKETS = [
+  { label: '<20', max: 20 },
+  { label: '20-27', max: 28 },
+  { label: '28-33', max: 34 },
+  { label: '34+', max: Infinity }
+];
+
+const REPORT_COLUMNS = ['dimension', 'group', 'games', 'mae', 'rmse', 'bias'];
+
+/**
+ * Parses command-line flags of the form `--name value` and bare `--flag`.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {Object} Flag values keyed by name.
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(.+)$/.exec(argv[i]);
+    if (!match) {
+      throw new Error(`Unexpected argument "${argv[i]}".`);
+    }
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[match[1]] = true;
+    } else {
+      args[match[1]] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Returns the first non-empty value among several possible column names.
+ * @param {Object} row - Parsed game-log row.
+ * @param {...string} names - Candidate column names.
+ * @returns {any} The value, if any.
+ */
+function pick(row, ...names) {
+  const name = names.find(candidate => row[candidate] !== undefined && row[candidate] !== '');
+  return name === undefined ? undefined : row[name];
+}
+
+/**
+ * Parses a minutes value given as decimal minutes or "mm:ss".
+ * @param {string|number} value - The raw minutes value.
+ * @returns {number} Minutes played (NaN if unparseable).
+ */
+function parseMinutes(value) {
+  const match = /^(\d+):(\d{1,2})$/.exec(String(value).trim());
+  if (match) {
+    return Number(match[1]) + Number(match[2]) / 60;
+  }
+  return value === undefined || value === null || String(value).trim() === '' ? NaN : Number(value);
+}
+
+/**
+ * Reads a game log from a CSV or JSON file.
+ * @param {string} file - Path to the game log.
+ * @returns {Object[]} Normalized games: { row, date, player, opponent, minutes, points,
+ * gameTotal, spread }.
+ */
+function readGameLog(file) {
+  const text = fs.readFileSync(path.resolve(file), 'utf8');
+  const isJson = path.extname(file).toLowerCase() === '.json';
+  const rows = isJson ? JSON.parse(text) : parseCsv(text);
+  if (!Array.isArray(rows)) {
+    throw new Error(`${file} must contain an array of game rows.`);
+  }
+
+  return rows.map((row, index) => ({
+    // Row number as seen in the file: CSV data starts on line 2, after the header
+    row: isJson ? index + 1 : index + 2,
+    date: pick(row, 'date', 'Date', 'game_date', 'GAME_DATE'),
+    player: pick(row, 'player', 'Player', 'player_name', 'PLAYER_NAME'),
+    opponent: pick(row, 'opponent', 'Opponent', 'Opp', 'opponent_team', 'OPP'),
+    minutes: parseMinutes(pick(row, 'minutes', 'Minutes', 'MP', 'MIN', 'actual_minutes')),
+    points: Number(pick(row, 'points', 'Points', 'PTS', 'actual_points')),
+    gameTotal: pick(row, 'game_total', 'Game Total', 'Total'),
+    spread: pick(row, 'spread', 'Spread')
+  }));
+}
+
+/**
+ * Returns the label of the minutes bucket a game falls into.
+ * @param {number} minutes - Actual minutes played.
+ * @returns {string} Bucket label.
+ */
+function getMinutesBucket(minutes) {
+  return MINUTES_BUCKETS.find(bucket => minutes < bucket.max).label;
+}
+
+/**
+ * Calculates error metrics for a set of projected/actual pairs.
+ * @param {Object[]} results - Items with `projected` and `actual` points.
+ * @returns {Object} { games, mae, rmse, bias }, rounded to 3 decimals (null metrics if empty).
+ */
+function calculateErrorMetrics(results) {
+  if (results.length === 0) {
+    return { games: 0, mae: null, rmse: null, bias: null };
+  }
+  const errors = results.map(result => result.projected - result.actual);
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const round = value => parseFloat(value.toFixed(3));
+  return {
+    games: results.length,
+    mae: round(mean(errors.map(Math.abs))),
+    rmse: round(Math.sqrt(mean(errors.map(error => error * error)))),
+    bias: round(mean(errors))
+  };
+}
+
+/**
+ * Groups results by a key and calculates metrics for each group.
+ * @param {Object[]} results - Projected games.
+ * @param {Function} getKey - Returns the group key for a result.
+ * @returns {Object[]} { group, games, mae, rmse, bias } sorted by group.
+ */
+function groupErrorMetrics(results, getKey) {
+  const groups = new Map();
+  results.forEach(result => {
+    const key = getKey(result);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(result);
+  });
+  return Array.from(groups.keys())
+    .sort()
+    .map(group => ({ group, ...calculateErrorMetrics(groups.get(group)) }));
+}
+
+/**
+ * Projects every game in a log and scores the projections.
+ * @param {Object} data - Loaded season datasets.
+ * @param {Object[]} games - Games from `readGameLog`.
+ * @param {Object} [options] - { usageAdjustment (default 1.0), shrinkage } applied to every game.
+ * @returns {Object} { summary, by_position, by_opponent, by_minutes_bucket, games, skipped }.
+ */
+function runBacktest(data, games, { usageAdjustment = 1.0, shrinkage } = {}) {
+  const results = [];
+  const skipped = [];
+
+  games.forEach(game => {
+    if (!game.player || !game.opponent) {
+      skipped.push({ row: game.row, player: game.player || null, error: 'Missing player or opponent.' });
+      return;
+    }
+    if (!isFinite(game.minutes) || game.minutes <= 0 || !isFinite(game.points) || game.points < 0) {
+      skipped.push({ row: game.row, player: game.player, error: 'Missing or invalid actual minutes or points.' });
+      return;
+    }
+    if (game.minutes > MAX_ACTUAL_MINUTES) {
+      skipped.push({ row: game.row, player: game.player, error: `Actual minutes (${game.minutes.toFixed(1)}) exceed ${MAX_ACTUAL_MINUTES}.` });
+      return;
+    }
+
+    try {
+      const projection = projectMatchup(data, {
+        player_name: game.player,
+        opponent_team: game.opponent,
+        projected_minutes: game.minutes,
+        usage_adjustment: usageAdjustment,
+        game_total: game.gameTotal,
+        spread: game.spread,
+        shrinkage
+      }, { maxMinutes: MAX_ACTUAL_MINUTES });
+      results.push({
+        row: game.row,
+        date: game.date || null,
+        player: projection.player.name,
+        position: projection.inputs.position_used,
+        opponent: projection.opponent.team,
+        minutes: parseFloat(game.minutes.toFixed(1)),
+        minutes_bucket: getMinutesBucket(game.minutes),
+        projected: projection.projection.projectedPoints,
+        actual: game.points,
+        error: parseFloat((projection.projection.projectedPoints - game.points).toFixed(1))
+      });
+    } catch (error) {
+      skipped.push({ row: game.row, player: game.player, error: error.message });
+    }
+  });
+
+  const dates = results.map(result => result.date).filter(Boolean).sort();
+
+  return {
+    summary: {
+      ...calculateErrorMetrics(results),
+      skipped: skipped.length,
+      first_date: dates[0] || null,
+      last_date: dates[dates.length - 1] || null
+    },
+    by_position: groupErrorMetrics(results, result => result.position),
+    by_opponent: groupErrorMetrics(results, result => result.opponent),
+    // Keep buckets in minutes order rather than alphabetical
+    by_minutes_bucket: MINUTES_BUCKETS
+      .map(bucket => ({
+        group: bucket.label,
+        ...calculateErrorMetrics(results.filter(result => result.minutes_bucket === bucket.label))
+      }))
+      .filter(bucket => bucket.games > 0),
+    games: results,
+    skipped
+  };
+}
+
+/**
+ * Flattens a backtest's metrics into CSV rows.
+ * @param {Object} backtest - Result of `runBacktest`.
+ * @returns {string} CSV with one row per dimension/group.
+ */
+function toReportCsv(backtest) {
+  const records = [{ dimension: 'overall', group: 'all', ...backtest.summary }];
+  [['position', backtest.by_position], ['opponent', backtest.by_opponent], ['minutes_bucket', backtest.by_minutes_bucket]]
+    .forEach(([dimension, groups]) => {
+      groups.forEach(group => records.push({ dimension, ...group }));
+    });
+  return toCsv(records, REPORT_COLUMNS);
+}
+
+/**
+ * Prints a backtest summary to the console.
+ * @param {Object} backtest - Result of `runBacktest`.
+ */
+function printSummary(backtest) {
+  const { summary } = backtest;
+  const format = value => (value === null ? '-' : value.toFixed(2)).padStart(7);
+  console.log(`Games scored: ${summary.games} (skipped ${summary.skipped})` +
+    (summary.first_date ? `, ${summary.first_date} to ${summary.last_date}` : ''));
+  console.log(`Overall  MAE ${format(summary.mae)}  RMSE ${format(summary.rmse)}  bias ${format(summary.bias)}`);
+  [['Position', backtest.by_position], ['Minutes', backtest.by_minutes_bucket]].forEach(([title, groups]) => {
+    console.log(`\nBy ${title.toLowerCase()}:`);
+    groups.forEach(group => {
+      console.log(`  ${group.group.padEnd(6)} n=${String(group.games).padEnd(5)} MAE ${format(group.mae)}  RMSE ${format(group.rmse)}  bias ${format(group.bias)}`);
+    });
+  });
+  backtest.skipped.forEach(entry => console.warn(`Skipped row ${entry.row} (${entry.player}): ${entry.error}`));
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.games || args.games === true) {
+    throw new Error('--games is required (path to a CSV or JSON game log).');
+  }
+  const usageAdjustment = args.usage === undefined ? 1.0 : Number(args.usage);
+  if (!isFinite(usageAdjustment) || usageAdjustment <= 0) {
+    throw new Error('--usage must be a positive number.');
+  }
+
+  const data = loadData(args.season === true ? undefined : args.season);
+  // Validate once up front rather than failing every game
+  const shrinkage = parseShrinkageOption(args.shrinkage);
+  const backtest = runBacktest(data, readGameLog(args.games), { usageAdjustment, shrinkage });
+  printSummary(backtest);
+
+  if (args.out) {
+    const outPath = path.resolve(args.out);
+    if (path.extname(outPath).toLowerCase() === '.csv') {
+      fs.writeFileSync(outPath, toReportCsv(backtest));
+    } else {
+      const { games, ...metrics } = backtest;
+      const report = {
+        generated_at: new Date().toISOString(),
+        season: data.season,
+        games_file: path.basename(args.games),
+        usage_adjustment: usageAdjustment,
+        shrinkage: shrinkage || null,
+        ...metrics,
+        ...(args.details ? { games } : {})
+      };
+      fs.writeFileSync(outPath, `${JSON.stringify(report, null, 2)}\n`);
+    }
+    console.log(`\nReport written to ${args.out}`);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`backtest failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  parseMinutes,
+  readGameLog,
+  calculateErrorMetrics,
+  runBacktest,
+  toReportCsv
+};
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Measures per-request latency of the data layer before and after caching.
+ *
+ * Usage:
+ *   node scripts/benchmark-data-layer.js [--requests 200] [--season 2024-25]
+ *
+ * "Uncached" reproduces the previous behaviour: every request reads, parses and
+ * validates the season's three files and resolves the player, opponent and DVP
+ * row by scanning the arrays. "Cached" is the current path: `loadData` returns
+ * the in-memory season and lookups use the prebuilt indexes. Both run the full
+ * `projectMatchup` pipeline over the same rotating set of player/opponent pairs.
+ */
+
+const { loadSeason, getLatestSeason } = require('../utils/dataset-registry');
+const { loadData, clearDataCache, getDatasetBody } = require('../utils/nba-data');
+const { projectMatchup } = require('../utils/projection-pipeline');
+
+/**
+ * Parses command-line flags of the form `--name value`.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {Object} Flag values keyed by name.
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+      throw new Error(`Unexpected argument "${argv[i]}". Expected --name value pairs.`);
+    }
+    options[argv[i].slice(2)] = argv[i + 1];
+  }
+  return options;
+}
+
+/**
+ * Builds the request parameters cycled through by both runs.
+ * @param {Object} data - A loaded season.
+ * @returns {Object[]} projectMatchup parameters pairing rotation players with opponents.
+ */
+function buildRequests(data) {
+  const players = getDatasetBody(data.playerStats).players;
+  const teams = getDatasetBody(data.teamPace).teams;
+  return players
+    .filter(player => player.minutes_per_game >= 20)
+    .map((player, index) => {
+      let opponent = teams[index % teams.length].team;
+      if (opponent === player.team) {
+        opponent = teams[(index + 1) % teams.length].team;
+      }
+      return {
+        player_name: player.player,
+        opponent_team: opponent,
+        projected_minutes: String(Math.round(player.minutes_per_game)),
+        usage_adjustment: '1.0'
+      };
+    });
+}
+
+/**
+ * Times one run of requests.
+ * @param {Object[]} requests - Parameters to cycle through.
+ * @param {number} count - Number of requests to time.
+ * @param {Function} getData - Returns the season data for one request.
+ * @returns {Object} Mean and percentile latency in milliseconds.
+ */
+function timeRequests(requests, count, getData) {
+  const durations = [];
+  for (let i = 0; i < count; i++) {
+    const start = process.hrtime.bigint();
+    projectMatchup(getData(), requests[i % requests.length]);
+    durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  durations.sort((a, b) => a - b);
+  const percentile = p => durations[Math.min(durations.length - 1, Math.floor(p * durations.length))];
+  return {
+    mean: durations.reduce((sum, value) => sum + value, 0) / durations.length,
+    p50: percentile(0.5),
+    p95: percentile(0.95)
+  };
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const count = parseInt(options.requests || '200', 10);
+  if (!Number.isInteger(count) || count <= 0) {
+    throw new Error('--requests must be a positive integer.');
+  }
+  const season = options.season || getLatestSeason();
+
+  // Keep per-row validation warnings out of the timings
+  const warn = console.warn;
+  console.warn = () => {};
+
+  try {
+    const requests = buildRequests(loadSeason(season));
+
+    const uncached = timeRequests(requests, count, () => loadSeason(season));
+    clearDataCache();
+    const cached = timeRequests(requests, count, () => loadData(season));
+
+    const format = value => value.toFixed(3).padStart(9);
+    console.log(`Season ${season}, ${count} requests over ${requests.length} player/opponent pairs`);
+    console.log('              mean ms    p50 ms    p95 ms');
+    console.log(`uncached   ${format(uncached.mean)} ${format(uncached.p50)} ${format(uncached.p95)}`);
+    console.log(`cached     ${format(cached.mean)} ${format(cached.p50)} ${format(cached.p95)}`);
+    console.log(`speed-up   ${(uncached.mean / cached.mean).toFixed(1)}x`);
+  } finally {
+    console.warn = warn;
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`benchmark failed: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,569 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Builds the season JSON datasets from raw CSV exports.
+ *
+ * Usage:
+ *   node scripts/build-datasets.js --season 2025-26 \
+ *     --players totals.csv --advanced advanced.csv \
+ *     --pace team_pace.csv --dvp dvp.csv [--out data] [--date 2026-01-15] \
+ *     [--min-games 1] [--report diff.json] [--dry-run]
+ *
+ * Inputs (any subset of the three datasets can be rebuilt):
+ *   --players   Basketball-Reference player totals CSV (Player, Team/Tm, Pos, G, MP,
+ *               FG, FGA, 3P, 3PA, 2P, 2PA, FT, FTA, TRB, AST, STL, BLK, TOV, PTS).
+ *               Traded players' combined (TOT/2TM/3TM) row is used, with the last
+ *               team listed as their current team.
+ *   --advanced  Basketball-Reference advanced CSV supplying USG% (required with
+ *               --players unless the totals file already has a USG% column).
+ *   --pace      Team CSV with Team, Pace, ORtg, DRtg (and optionally NRtg).
+ *   --dvp       Defense vs position CSV with Team, Position, FPTS, FGA, FTA where
+ *               FPTS/FGA/FTA are per-game FanDuel points and attempts allowed.
+ *
+ * Derived fields: positions (for multi-position listings such as "PG-SG"),
+ * per-game averages, FGA_36, FTA_36, shooting percentages,
+ * three_point_attempt_rate, league average pace, pace rank, net rating, and DVP
+ * factors/ranks relative to the league average for each position. Output is
+ * validated against the dataset registry schema before it is written, and a
+ * diff against the file being replaced is printed (and optionally saved), along
+ * with any name aliases whose player the new player dataset does not contain.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('../utils/csv');
+const { normalizeTeamAbbreviation, getTeamName } = require('../utils/teams');
+const { foldAccents, findUnresolvedAliases } = require('../utils/player-names');
+const { validateDataset, normalizeSeason, DVP_POSITIONS } = require('../utils/dataset-registry');
+
+const DEFAULT_SOURCES = {
+  player_stats: 'Basketball Reference',
+  team_pace: 'Basketball Reference',
+  dvp: 'FantasyPros FanDuel DVP'
+};
+
+const DVP_EXPLANATION = 'DVP factors represent multipliers for field goal attempts and free throw attempts allowed to each position relative to league average (1.0 = average, >1.0 = more attempts allowed, <1.0 = fewer attempts allowed)';
+
+// Basketball-Reference marks a traded player's combined row with TOT (older) or 2TM/3TM (newer)
+const COMBINED_TEAM_PATTERN = /^(TOT|\dTM)$/;
+
+/**
+ * Parses command-line flags of the form `--name value` and bare `--flag`.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {Object} Flag values keyed by name.
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(.+)$/.exec(argv[i]);
+    if (!match) {
+      throw new Error(`Unexpected argument "${argv[i]}".`);
+    }
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[match[1]] = true;
+    } else {
+      args[match[1]] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Returns the first non-empty value among several possible column names.
+ * @param {Object} row - Parsed CSV row.
+ * @param {...string} names - Candidate column names.
+ * @returns {string|undefined} The value, if any.
+ */
+function pick(row, ...names) {
+  const name = names.find(candidate => row[candidate] !== undefined && row[candidate] !== '');
+  return name === undefined ? undefined : row[name];
+}
+
+/**
+ * Parses a numeric CSV cell, treating blanks as 0 (Basketball-Reference leaves
+ * percentages blank when there are no attempts).
+ * @param {string|undefined} value - Cell text.
+ * @returns {number} Parsed number (NaN if the cell is not numeric).
+ */
+function toNumber(value) {
+  if (value === undefined || value === '') {
+    return 0;
+  }
+  return Number(String(value).replace(/%$/, ''));
+}
+
+/**
+ * Rounds to a fixed number of decimals.
+ * @param {number} value - Value to round.
+ * @param {number} decimals - Decimal places.
+ * @returns {number} Rounded value.
+ */
+function round(value, decimals) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Divides, returning 0 when the denominator is 0.
+ * @param {number} numerator - Numerator.
+ * @param {number} denominator - Denominator.
+ * @returns {number} Quotient or 0.
+ */
+function safeDivide(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : 0;
+}
+
+/**
+ * Normalizes a Basketball-Reference player name: drops the Hall of Fame "*" and
+ * folds accents, so "Luka Dončić" keeps the "Luka Doncic" key the datasets use.
+ * @param {string} name - Raw player name.
+ * @returns {string} Clean name.
+ */
+function cleanPlayerName(name) {
+  return foldAccents(String(name || '').replace(/\*+$/, '').trim());
+}
+
+/**
+ * Builds player rows from totals (and advanced) CSV rows.
+ * @param {Object[]} totalsRows - Parsed totals CSV.
+ * @param {Object[]} advancedRows - Parsed advanced CSV (may be empty).
+ * @param {Object} options - { minGames }.
+ * @returns {Object} { players, skipped } where skipped lists { player, reason }.
+ */
+function buildPlayers(totalsRows, advancedRows, options) {
+  const usageByPlayer = {};
+  advancedRows.forEach(row => {
+    const name = cleanPlayerName(row.Player);
+    const team = pick(row, 'Team', 'Tm');
+    // Prefer the combined row for traded players; otherwise the first row seen
+    if (name && (usageByPlayer[name] === undefined || COMBINED_TEAM_PATTERN.test(team))) {
+      usageByPlayer[name] = pick(row, 'USG%');
+    }
+  });
+
+  // Group rows by player to handle mid-season trades
+  const rowsByPlayer = new Map();
+  totalsRows.forEach(row => {
+    const name = cleanPlayerName(row.Player);
+    if (!name || name === 'League Average') {
+      return;
+    }
+    if (!rowsByPlayer.has(name)) {
+      rowsByPlayer.set(name, []);
+    }
+    rowsByPlayer.get(name).push(row);
+  });
+
+  const players = [];
+  const skipped = [];
+
+  rowsByPlayer.forEach((rows, name) => {
+    const combined = rows.find(row => COMBINED_TEAM_PATTERN.test(pick(row, 'Team', 'Tm')));
+    const stats = combined || rows[0];
+    const teamRows = rows.filter(row => !COMBINED_TEAM_PATTERN.test(pick(row, 'Team', 'Tm')));
+    const rawTeam = pick(teamRows[teamRows.length - 1] || stats, 'Team', 'Tm');
+    const team = normalizeTeamAbbreviation(rawTeam);
+
+    const games = toNumber(stats.G);
+    const minutes = toNumber(stats.MP);
+    const usage = pick(stats, 'USG%') !== undefined ? pick(stats, 'USG%') : usageByPlayer[name];
+
+    if (!team) {
+      skipped.push({ player: name, reason: `unknown team "${rawTeam}"` });
+      return;
+    }
+    if (games < options.minGames || games <= 0 || minutes <= 0) {
+      skipped.push({ player: name, reason: `below minimum games/minutes (G=${games}, MP=${minutes})` });
+      return;
+    }
+    if (usage === undefined || isNaN(toNumber(usage))) {
+      skipped.push({ player: name, reason: 'missing USG% (pass --advanced)' });
+      return;
+    }
+
+    const fga = toNumber(stats.FGA);
+    const fta = toNumber(stats.FTA);
+    const threePA = toNumber(stats['3PA']);
+    const twoPA = stats['2PA'] !== undefined ? toNumber(stats['2PA']) : fga - threePA;
+    const twoPM = stats['2P'] !== undefined ? toNumber(stats['2P']) : toNumber(stats.FG) - toNumber(stats['3P']);
+
+    // Multi-position listings such as "SG-SF" keep the first as the primary position
+    const positions = String(stats.Pos || '').split(/[-/,]/).map(position => position.trim()).filter(Boolean);
+
+    const player = {
+      player: name,
+      team,
+      position: positions[0] || '',
+      ...(positions.length > 1 ? { positions } : {}),
+      games,
+      minutes_per_game: round(minutes / games, 1),
+      points_per_game: round(toNumber(stats.PTS) / games, 1),
+      rebounds_per_game: round(toNumber(stats.TRB) / games, 1),
+      assists_per_game: round(toNumber(stats.AST) / games, 1),
+      steals_per_game: round(toNumber(stats.STL) / games, 1),
+      blocks_per_game: round(toNumber(stats.BLK) / games, 1),
+      turnovers_per_game: round(toNumber(stats.TOV) / games, 1),
+      field_goal_percentage: round(safeDivide(toNumber(stats.FG), fga), 3),
+      three_point_percentage: round(safeDivide(toNumber(stats['3P']), threePA), 3),
+      free_throw_percentage: round(safeDivide(toNumber(stats.FT), fta), 3),
+      usage_percentage: round(toNumber(usage), 1),
+      three_point_attempt_rate: round(safeDivide(threePA, fga), 3),
+      FGA_36: round(fga / minutes * 36, 1),
+      FTA_36: round(fta / minutes * 36, 1),
+      two_point_percentage: round(safeDivide(twoPM, twoPA), 3)
+    };
+
+    const badField = Object.keys(player).find(field => typeof player[field] === 'number' && isNaN(player[field]));
+    if (badField) {
+      skipped.push({ player: name, reason: `non-numeric value for ${badField}` });
+      return;
+    }
+    players.push(player);
+  });
+
+  players.sort((a, b) => b.points_per_game - a.points_per_game || a.player.localeCompare(b.player));
+  return { players, skipped };
+}
+
+/**
+ * Builds team pace rows, league average pace and pace ranks.
+ * @param {Object[]} rows - Parsed team CSV.
+ * @returns {Object} { leagueAveragePace, teams, skipped }.
+ */
+function buildTeamPace(rows) {
+  const teams = [];
+  const skipped = [];
+
+  rows.forEach(row => {
+    const rawTeam = pick(row, 'Team', 'Tm');
+    const team = normalizeTeamAbbreviation(rawTeam);
+    if (!team) {
+      if (rawTeam && !/league average/i.test(rawTeam)) {
+        skipped.push({ team: rawTeam, reason: 'unknown team' });
+      }
+      return;
+    }
+    const pace = toNumber(pick(row, 'Pace'));
+    const offensiveRating = toNumber(pick(row, 'ORtg', 'OffRtg'));
+    const defensiveRating = toNumber(pick(row, 'DRtg', 'DefRtg'));
+    if ([pace, offensiveRating, defensiveRating].some(value => isNaN(value) || value <= 0)) {
+      skipped.push({ team: rawTeam, reason: 'missing or invalid Pace/ORtg/DRtg' });
+      return;
+    }
+    const netRating = pick(row, 'NRtg', 'NetRtg') !== undefined
+      ? toNumber(pick(row, 'NRtg', 'NetRtg'))
+      : offensiveRating - defensiveRating;
+
+    teams.push({
+      team,
+      team_name: getTeamName(team),
+      pace,
+      rank: 0,
+      offensive_rating: offensiveRating,
+      defensive_rating: defensiveRating,
+      net_rating: round(netRating, 1)
+    });
+  });
+
+  teams.sort((a, b) => b.pace - a.pace);
+  teams.forEach((team, index) => {
+    team.rank = index + 1;
+  });
+
+  const leagueAveragePace = teams.length > 0
+    ? round(teams.reduce((sum, team) => sum + team.pace, 0) / teams.length, 1)
+    : 0;
+
+  return { leagueAveragePace, teams, skipped };
+}
+
+/**
+ * Builds DVP rows with factors relative to each position's league average.
+ * Rank 1 is the defense allowing the fewest FanDuel points to the position.
+ * @param {Object[]} rows - Parsed DVP CSV.
+ * @returns {Object} { teams, skipped }.
+ */
+function buildDvp(rows) {
+  const skipped = [];
+  const entries = [];
+
+  rows.forEach(row => {
+    const rawTeam = pick(row, 'Team', 'Tm');
+    const team = normalizeTeamAbbreviation(rawTeam);
+    const position = String(pick(row, 'Position', 'Pos') || '').toUpperCase();
+    const fpts = toNumber(pick(row, 'FPTS', 'FanDuel Points Allowed', 'fanduel_points_allowed'));
+    const fga = toNumber(pick(row, 'FGA'));
+    const fta = toNumber(pick(row, 'FTA'));
+
+    if (!team) {
+      skipped.push({ team: rawTeam, position, reason: 'unknown team' });
+    } else if (!DVP_POSITIONS.includes(position)) {
+      skipped.push({ team: rawTeam, position, reason: 'unknown position' });
+    } else if ([fpts, fga, fta].some(value => isNaN(value) || value <= 0)) {
+      skipped.push({ team: rawTeam, position, reason: 'missing or invalid FPTS/FGA/FTA' });
+    } else {
+      entries.push({ team, position, fpts, fga, fta });
+    }
+  });
+
+  const teams = {};
+  DVP_POSITIONS.forEach(position => {
+    const atPosition = entries.filter(entry => entry.position === position);
+    if (atPosition.length === 0) {
+      return;
+    }
+    const averageFga = atPosition.reduce((sum, entry) => sum + entry.fga, 0) / atPosition.length;
+    const averageFta = atPosition.reduce((sum, entry) => sum + entry.fta, 0) / atPosition.length;
+    const ranked = atPosition.slice().sort((a, b) => a.fpts - b.fpts);
+
+    atPosition.forEach(entry => {
+      teams[entry.team] = teams[entry.team] || {
+        team: entry.team,
+        team_name: getTeamName(entry.team),
+        defense_vs_position: {}
+      };
+      teams[entry.team].defense_vs_position[position] = {
+        fanduel_points_allowed: round(entry.fpts, 2),
+        rank_defense: ranked.indexOf(entry) + 1,
+        dvp_fga_factor: round(entry.fga / averageFga, 2),
+        dvp_fta_factor: round(entry.fta / averageFta, 2)
+      };
+    });
+  });
+
+  return {
+    teams: Object.values(teams).sort((a, b) => a.team.localeCompare(b.team)),
+    skipped
+  };
+}
+
+/**
+ * Flattens a DVP team row into `TEAM POS` keyed entries for diffing.
+ * @param {Object[]} teams - DVP team rows.
+ * @returns {Object[]} Entries with an `id` and the position's factors.
+ */
+function flattenDvp(teams) {
+  const entries = [];
+  teams.forEach(team => {
+    Object.keys(team.defense_vs_position || {}).forEach(position => {
+      entries.push({ id: `${team.team} ${position}`, ...team.defense_vs_position[position] });
+    });
+  });
+  return entries;
+}
+
+/**
+ * Diffs two lists of rows by id.
+ * @param {Object[]} previousRows - Rows in the file being replaced.
+ * @param {Object[]} nextRows - Newly built rows.
+ * @param {Function} getId - Returns a row's id.
+ * @returns {Object} { added, removed, changed } where changed lists field-level { from, to }.
+ */
+function diffRows(previousRows, nextRows, getId) {
+  const previousById = new Map(previousRows.map(row => [getId(row), row]));
+  const nextById = new Map(nextRows.map(row => [getId(row), row]));
+
+  const added = [...nextById.keys()].filter(id => !previousById.has(id));
+  const removed = [...previousById.keys()].filter(id => !nextById.has(id));
+  const changed = [];
+
+  nextById.forEach((row, id) => {
+    const previous = previousById.get(id);
+    if (!previous) {
+      return;
+    }
+    const fields = {};
+    new Set([...Object.keys(previous), ...Object.keys(row)]).forEach(field => {
+      if (typeof row[field] === 'object' || typeof previous[field] === 'object') {
+        return;
+      }
+      if (previous[field] !== row[field]) {
+        fields[field] = { from: previous[field], to: row[field] };
+      }
+    });
+    if (Object.keys(fields).length > 0) {
+      changed.push({ id, fields });
+    }
+  });
+
+  return { added, removed, changed };
+}
+
+/**
+ * Diffs a newly built dataset body against the body currently on disk.
+ * @param {string} kind - Dataset kind.
+ * @param {Object|null} previousBody - Existing dataset body, or null for a new file.
+ * @param {Object} nextBody - Newly built dataset body.
+ * @returns {Object} Diff report for the dataset.
+ */
+function diffDataset(kind, previousBody, nextBody) {
+  if (!previousBody) {
+    return { newFile: true };
+  }
+  if (kind === 'player_stats') {
+    return diffRows(previousBody.players, nextBody.players, row => row.player);
+  }
+  if (kind === 'team_pace') {
+    return {
+      league_average_pace: previousBody.league_average_pace === nextBody.league_average_pace
+        ? undefined
+        : { from: previousBody.league_average_pace, to: nextBody.league_average_pace },
+      ...diffRows(previousBody.teams, nextBody.teams, row => row.team)
+    };
+  }
+  return diffRows(flattenDvp(previousBody.teams), flattenDvp(nextBody.teams), row => row.id);
+}
+
+/**
+ * Prints a one-line summary of a dataset diff.
+ * @param {string} file - Output file name.
+ * @param {Object} diff - Result of `diffDataset`.
+ */
+function printDiffSummary(file, diff) {
+  if (diff.newFile) {
+    console.log(`${file}: new file`);
+    return;
+  }
+  console.log(`${file}: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`);
+  diff.added.forEach(id => console.log(`  + ${id}`));
+  diff.removed.forEach(id => console.log(`  - ${id}`));
+  diff.changed.forEach(change => {
+    const fields = Object.keys(change.fields)
+      .map(field => `${field} ${change.fields[field].from} -> ${change.fields[field].to}`)
+      .join(', ');
+    console.log(`  ~ ${change.id}: ${fields}`);
+  });
+}
+
+/**
+ * Reads and parses a CSV file.
+ * @param {string} file - Path to the CSV file.
+ * @returns {Object[]} Parsed rows.
+ */
+function readCsv(file) {
+  return parseCsv(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const season = normalizeSeason(args.season || '');
+  if (!season) {
+    throw new Error('--season is required (e.g., --season 2025-26).');
+  }
+  if (!args.players && !args.pace && !args.dvp) {
+    throw new Error('Pass at least one of --players, --pace or --dvp.');
+  }
+
+  const outDir = path.resolve(args.out || path.join(__dirname, '..', 'data'));
+  const lastUpdated = args.date || new Date().toISOString().slice(0, 10);
+  const minGames = args['min-games'] === undefined ? 1 : Number(args['min-games']);
+  const suffix = season.replace('-', '_');
+
+  const outputs = [];
+
+  if (args.players) {
+    const { players, skipped } = buildPlayers(readCsv(args.players), args.advanced ? readCsv(args.advanced) : [], { minGames });
+    outputs.push({
+      kind: 'player_stats',
+      body: {
+        last_updated: lastUpdated,
+        season,
+        source: args['players-source'] || DEFAULT_SOURCES.player_stats,
+        total_players: players.length,
+        players
+      },
+      skipped,
+      indent: 2
+    });
+  }
+
+  if (args.pace) {
+    const { leagueAveragePace, teams, skipped } = buildTeamPace(readCsv(args.pace));
+    outputs.push({
+      kind: 'team_pace',
+      body: {
+        last_updated: lastUpdated,
+        season,
+        source: args['pace-source'] || DEFAULT_SOURCES.team_pace,
+        league_average_pace: leagueAveragePace,
+        teams
+      },
+      skipped,
+      indent: 2
+    });
+  }
+
+  if (args.dvp) {
+    const { teams, skipped } = buildDvp(readCsv(args.dvp));
+    outputs.push({
+      kind: 'dvp',
+      body: {
+        last_updated: lastUpdated,
+        season,
+        source: args['dvp-source'] || DEFAULT_SOURCES.dvp,
+        explanation: DVP_EXPLANATION,
+        teams
+      },
+      skipped,
+      indent: 4
+    });
+  }
+
+  const report = { season, generated_at: new Date().toISOString(), datasets: {} };
+
+  outputs.forEach(output => {
+    const topLevelKey = `nba_${output.kind}_${suffix}`;
+    const file = `${topLevelKey}.json`;
+    const filePath = path.join(outDir, file);
+    const json = { [topLevelKey]: output.body };
+
+    // Never write a file the API would reject or silently trim
+    const validation = validateDataset(output.kind, topLevelKey, json);
+    if (validation.errors.length > 0 || validation.rowErrors.length > 0) {
+      console.error(JSON.stringify(validation.rowErrors, null, 2));
+      throw new Error(`Generated ${file} failed validation: ${validation.errors.join(' ') || `${validation.rowErrors.length} invalid rows`}`);
+    }
+
+    const previousBody = fs.existsSync(filePath)
+      ? JSON.parse(fs.readFileSync(filePath, 'utf8'))[topLevelKey] || null
+      : null;
+    const diff = diffDataset(output.kind, previousBody, output.body);
+
+    output.skipped.forEach(entry => console.warn(`${file}: skipped ${JSON.stringify(entry)}`));
+    printDiffSummary(file, diff);
+    report.datasets[output.kind] = { file, skipped: output.skipped, diff };
+
+    // Nickname lookups for players missing from this season fall through to fuzzy matching
+    if (output.kind === 'player_stats') {
+      const unresolvedAliases = findUnresolvedAliases(output.body.players);
+      unresolvedAliases.forEach(entry => console.warn(`${file}: alias "${entry.alias}" names ${entry.player}, who is not in this dataset`));
+      report.datasets[output.kind].unresolved_aliases = unresolvedAliases;
+    }
+
+    if (!args['dry-run']) {
+      fs.writeFileSync(filePath, `${JSON.stringify(json, null, output.indent)}\n`);
+      console.log(`Wrote ${path.relative(process.cwd(), filePath)}`);
+    }
+  });
+
+  if (args.report) {
+    fs.writeFileSync(path.resolve(args.report), `${JSON.stringify(report, null, 2)}\n`);
+    console.log(`Diff report written to ${args.report}`);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`build-datasets failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  buildPlayers,
+  buildTeamPace,
+  buildDvp,
+  diffDataset
+};
@@ -0,0 +1,674 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Checks the projection utils against fixed inputs.
+ *
+ * Usage:
+ *   node scripts/check-behavior.js [--only teammate-absences]
+ *
+ * Each check runs a util (or the full `projectMatchup` pipeline on the shipped
+ * latest season) with fixed inputs and compares the result to hand-worked
+ * values or to a property the result must have. Failing checks are listed and
+ * the script exits with status 1, so `npm test` fails on any mismatch. --only
+ * runs the checks for one area.
+ */
+
+const assert = require('assert');
+const vm = require('vm');
+const { loadData, getDatasetBody, describeData } = require('../utils/nba-data');
+const { projectMatchup, countRequestedSimulations } = require('../utils/projection-pipeline');
+const {
+  calculateUsageRedistribution,
+  calculateMinutesRedistribution,
+  calculateTeammateAbsenceAdjustments
+} = require('../utils/teammate-absences');
+const { buildNameEntries, resolvePlayerName, findUnresolvedAliases } = require('../utils/player-names');
+const { findDVP } = require('../utils/data-lookup');
+const { getPlayerPositions, parsePositionWeights, resolvePositionWeights, blendDvpFactors } = require('../utils/positions');
+const { parseShrinkageOption, regressShootingPercentages } = require('../utils/shooting-regression');
+const { normalCdf, calculateBlowoutProbability, projectMinutes } = require('../utils/minutes-projection');
+const { projectTeam } = require('../utils/team-projection');
+const { exploreMatchups } = require('../utils/matchup-explorer');
+const { buildClientBundle } = require('../utils/client-bundle');
+const { validateSchema } = require('../utils/schema-validator');
+const { validateAgainstSchema } = require('../utils/openapi');
+const { MAX_SIMULATIONS, DEFAULT_SIMULATIONS, simulateProjectedPoints } = require('../utils/simulation');
+const { SLOT_POSITIONS, optimizeLineups } = require('../utils/lineup-optimizer');
+const { detectSalarySite, parseSalaryFile } = require('../utils/salary-file');
+
+/**
+ * Parses command-line flags of the form `--name value`.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {Object} Flag values keyed by name.
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+      throw new Error(`Unexpected argument "${argv[i]}". Expected --name value pairs.`);
+    }
+    options[argv[i].slice(2)] = argv[i + 1];
+  }
+  return options;
+}
+
+/**
+ * Asserts that two numbers agree to a tolerance.
+ * @param {number} actual - Value produced.
+ * @param {number} expected - Value expected.
+ * @param {number} [tolerance=1e-6] - Largest difference allowed.
+ */
+function assertClose(actual, expected, tolerance = 1e-6) {
+  assert.ok(typeof actual === 'number' && Math.abs(actual - expected) <= tolerance,
+    `expected ${expected} (±${tolerance}), got ${actual}`);
+}
+
+/**
+ * Asserts that a function throws a request error with the given status and code.
+ * @param {Function} fn - Function expected to throw.
+ * @param {number} statusCode - Expected HTTP status.
+ * @param {string} code - Expected error code.
+ * @param {string} [field] - Expected field, when the error names one.
+ */
+function assertRequestError(fn, statusCode, code, field) {
+  assert.throws(fn, error => {
+    assert.strictEqual(error.statusCode, statusCode, `status: ${error.message}`);
+    assert.strictEqual(error.code, code, `code: ${error.message}`);
+    if (field !== undefined) {
+      assert.strictEqual(error.field, field, `field: ${error.message}`);
+    }
+    return true;
+  });
+}
+
+/**
+ * Finds the best lineup totals by trying every set of players, for comparison with the optimizer.
+ * @param {Object[]} pool - Pool entries ({ id, team, positions, salary, projected_points }).
+ * @param {Object} options - { slots, salaryCap, maxPerTeam, locks, count } as for `optimizeLineups`.
+ * @returns {number[]} Up to `count` lineup totals, best first, rounded to 2 decimals.
+ */
+function bruteForceLineupTotals(pool, { slots, salaryCap, maxPerTeam, locks = [], count }) {
+  const totals = [];
+  const fitsSlots = (players, slotIndex, used) => slotIndex === slots.length ||
+    players.some((player, index) => !used.includes(index) &&
+      player.positions.some(position => SLOT_POSITIONS[slots[slotIndex]].includes(position)) &&
+      fitsSlots(players, slotIndex + 1, used.concat(index)));
+  const choose = (start, chosen) => {
+    if (chosen.length === slots.length) {
+      const teamCounts = {};
+      chosen.forEach(player => { teamCounts[player.team] = (teamCounts[player.team] || 0) + 1; });
+      if (chosen.reduce((sum, player) => sum + player.salary, 0) <= salaryCap &&
+          (maxPerTeam === null || Object.values(teamCounts).every(teamCount => teamCount <= maxPerTeam)) &&
+          locks.every(lock => chosen.includes(lock)) &&
+          fitsSlots(chosen, 0, [])) {
+        totals.push(chosen.reduce((sum, player) => sum + player.projected_points, 0));
+      }
+      return;
+    }
+    for (let index = start; index < pool.length; index++) {
+      choose(index + 1, chosen.concat(pool[index]));
+    }
+  };
+  choose(0, []);
+  return totals.sort((a, b) => b - a).slice(0, count).map(total => parseFloat(total.toFixed(2)));
+}
+
+/**
+ * Finds a player row in the loaded season by exact name.
+ * @param {Object} data - Loaded season.
+ * @param {string} name - Player name.
+ * @returns {Object} The row.
+ */
+function findPlayerRow(data, name) {
+  const row = getDatasetBody(data.playerStats).players.find(player => player.player === name);
+  assert.ok(row, `${name} is not in the shipped player data`);
+  return row;
+}
+
+// Checks by area; each run(data) throws (usually an AssertionError) on mismatch
+const CHECKS = {
+  'teammate-absences': [
+    {
+      name: 'usage above replacement level is shared for the minutes the absent player is on court',
+      run() {
+        // (30 - 20) / (100 - 30) × 36/48
+        const usage = calculateUsageRedistribution([{ usage_percentage: 30, minutes_per_game: 36 }]);
+        assertClose(usage.multiplier, 1 + (10 / 70) * 0.75);
+        // A below-replacement player frees no usage
+        assert.strictEqual(calculateUsageRedistribution([{ usage_percentage: 15, minutes_per_game: 30 }]).multiplier, 1);
+      }
+    },
+    {
+      name: 'freed minutes are spread in proportion to minutes played',
+      run() {
+        // 36 freed, 204 left in the rotation: a 30-MPG player gets 36 × 30/204
+        const minutes = calculateMinutesRedistribution(30, [{ minutes_per_game: 36 }]);
+        assertClose(minutes.extraMinutes, 36 * 30 / 204);
+        assert.throws(() => calculateMinutesRedistribution(30, [{ minutes_per_game: 120 }, { minutes_per_game: 120 }]),
+          /all of the team's minutes/);
+      }
+    },
+    {
+      name: 'extra minutes stop at the 40-minute ceiling',
+      run() {
+        const player = { player: 'Starter', minutes_per_game: 36 };
+        const absent = [
+          { player: 'A', usage_percentage: 25, minutes_per_game: 34 },
+          { player: 'B', usage_percentage: 22, minutes_per_game: 32 }
+        ];
+        const result = calculateTeammateAbsenceAdjustments(player, absent, 38);
+        assertClose(result.extraMinutes, 2);
+        assert.strictEqual(result.minutesCeilingApplied, true);
+        const breakdown = result.teammates.reduce((sum, teammate) => sum + teammate.extraMinutes, 0);
+        assertClose(breakdown, 2, 0.11);
+      }
+    },
+    {
+      name: 'absent teammates raise the projection, and unusable teammate data is a 422',
+      run(data) {
+        const params = { player_name: 'Nikola Jokic', opponent_team: 'MEM', usage_adjustment: 1, projected_minutes: 34 };
+        const base = projectMatchup(data, params);
+        const boosted = projectMatchup(data, { ...params, teammates_out: ['Jamal Murray'] });
+        assert.ok(boosted.projection.projectedPoints > base.projection.projectedPoints);
+        assert.ok(boosted.teammates_out.derivedExtraMinutes > 0);
+
+        const murray = findPlayerRow(data, 'Jamal Murray');
+        const usage = murray.usage_percentage;
+        try {
+          murray.usage_percentage = null;
+          assertRequestError(() => projectMatchup(data, { ...params, teammates_out: ['Jamal Murray'] }),
+            422, 'INCOMPLETE_PLAYER_DATA', 'teammates_out');
+        } finally {
+          murray.usage_percentage = usage;
+        }
+        assertRequestError(() => projectMatchup(data, { ...params, teammates_out: ['Jayson Tatum'] }),
+          400, 'INVALID_TEAMMATE', 'teammates_out[0]');
+      }
+    }
+  ],
+
+  'player-names': [
+    {
+      name: 'accents and generational suffixes resolve as normalized matches',
+      run() {
+        const entries = buildNameEntries([{ player: 'Luka Doncic' }, { player: 'Jaren Jackson Jr.' }]);
+        assert.strictEqual(resolvePlayerName('Luka Doncic', entries).matchType, 'exact');
+        ['luka dončić', 'Luka Dončić'].forEach(query => {
+          const match = resolvePlayerName(query, entries);
+          assert.strictEqual(match.player.player, 'Luka Doncic', query);
+          assert.strictEqual(match.matchType, 'normalized', query);
+        });
+        assert.strictEqual(resolvePlayerName('Jaren Jackson', entries).player.player, 'Jaren Jackson Jr.');
+      }
+    },
+    {
+      name: 'aliases resolve only when their player is in the data',
+      run() {
+        const entries = buildNameEntries([{ player: 'Nikola Jokic' }, { player: 'Anthony Davis' }]);
+        const joker = resolvePlayerName('joker', entries);
+        assert.strictEqual(joker.player.player, 'Nikola Jokic');
+        assert.strictEqual(joker.matchType, 'alias');
+        // Chris Paul is not in these entries, so "cp3" falls through to fuzzy matching and fails
+        assert.strictEqual(resolvePlayerName('cp3', entries).matchType, 'not_found');
+        assert.deepStrictEqual(
+          findUnresolvedAliases([{ player: 'Nikola Jokic' }]).filter(entry => entry.alias === 'joker' || entry.alias === 'cp3'),
+          [{ alias: 'cp3', player: 'Chris Paul' }]
+        );
+      }
+    },
+    {
+      name: 'typos match the closest name; near-ties and misses return ranked suggestions',
+      run() {
+        const entries = buildNameEntries([
+          { player: 'Jalen Williams' },
+          { player: 'Jaylin Williams' },
+          { player: 'Nikola Jokic' },
+          { player: 'Jaren Jackson Jr.' },
+          { player: 'Jaren Jackson Sr.' }
+        ]);
+        const typo = resolvePlayerName('Nikola Jokcic', entries);
+        assert.strictEqual(typo.player.player, 'Nikola Jokic');
+        assert.strictEqual(typo.matchType, 'fuzzy');
+        assert.strictEqual(resolvePlayerName('Jalen Wiliams', entries).player.player, 'Jalen Williams');
+
+        const ambiguous = resolvePlayerName('Jaren Jackson', entries);
+        assert.strictEqual(ambiguous.matchType, 'ambiguous');
+        assert.deepStrictEqual(ambiguous.suggestions.map(entry => entry.player), ['Jaren Jackson Jr.', 'Jaren Jackson Sr.']);
+
+        const initial = resolvePlayerName('J. Williams', entries);
+        assert.strictEqual(initial.player, null);
+        assert.deepStrictEqual(initial.suggestions.slice(0, 2).map(entry => entry.player), ['Jalen Williams', 'Jaylin Williams']);
+        assert.strictEqual(resolvePlayerName('Zzz Qqq', entries).suggestions.length, 0);
+      }
+    }
+  ],
+
+  positions: [
+    {
+      name: 'multi-position players blend their DVP rows with equal weights by default',
+      run(data) {
+        const lebron = findPlayerRow(data, 'LeBron James');
+        assert.deepStrictEqual(getPlayerPositions(lebron), ['SF', 'PF']);
+        const result = projectMatchup(data, { player_name: 'LeBron James', opponent_team: 'BOS', usage_adjustment: 1, projected_minutes: 34 });
+        const sf = findDVP(data.dvpData, 'BOS', 'SF');
+        const pf = findDVP(data.dvpData, 'BOS', 'PF');
+        assert.strictEqual(result.dvp.position, 'SF/PF');
+        assertClose(result.dvp.dvp_fga_factor, (sf.dvp_fga_factor + pf.dvp_fga_factor) / 2, 1e-4);
+        assertClose(result.dvp.dvp_fta_factor, (sf.dvp_fta_factor + pf.dvp_fta_factor) / 2, 1e-4);
+      }
+    },
+    {
+      name: 'position weights are normalized and a missing DVP row counts as neutral',
+      run(data) {
+        const weights = resolvePositionWeights({ position: 'SF', positions: ['SF', 'PF'] }, undefined, 'SF:3,PF:1');
+        assert.deepStrictEqual(weights, [{ position: 'SF', weight: 0.75 }, { position: 'PF', weight: 0.25 }]);
+
+        const blend = blendDvpFactors(data.dvpData, 'XXX', [{ position: 'PG', weight: 1 }]);
+        assert.strictEqual(blend.dvp_fga_factor, 1);
+        assert.strictEqual(blend.dvp_fta_factor, 1);
+        assert.strictEqual(blend.rank_defense, null);
+        assert.strictEqual(blend.warnings.length, 1);
+      }
+    },
+    {
+      name: 'position_weights keys must each be exactly one DVP position',
+      run() {
+        assert.deepStrictEqual(parsePositionWeights({ pg: 0.7, SG: 0.3 }), { PG: 0.7, SG: 0.3 });
+        ['PG/SG:0.5,SF:0.5', 'XX:1', ':1'].forEach(value => {
+          assert.throws(() => parsePositionWeights(value), /must name a single position/, value);
+        });
+        assert.throws(() => parsePositionWeights({ PG: 0 }), /must be a positive number/);
+      }
+    }
+  ],
+
+  'shooting-regression': [
+    {
+      name: 'regressed percentages follow (makes + k × prior) ÷ (attempts + k) and sit between raw and prior',
+      run(data) {
+        const { report } = regressShootingPercentages(data.playerStats, findPlayerRow(data, 'Walker Kessler'), 'league');
+        assert.strictEqual(report.prior, 'league');
+        Object.keys(report.stats).forEach(stat => {
+          const { raw, regressed, prior_mean: mean, attempts, prior_attempts: k } = report.stats[stat];
+          assertClose(regressed, (raw * attempts + k * mean) / (attempts + k), 2e-3);
+          assert.ok(regressed >= Math.min(raw, mean) - 1e-4 && regressed <= Math.max(raw, mean) + 1e-4, stat);
+        });
+      }
+    },
+    {
+      name: 'fewer games put less weight on the player',
+      run(data) {
+        const player = findPlayerRow(data, 'Stephen Curry');
+        const full = regressShootingPercentages(data.playerStats, player, 'position').report.stats.three_point_percentage;
+        const short = regressShootingPercentages(data.playerStats, { ...player, games: 5 }, 'position').report.stats.three_point_percentage;
+        assert.ok(short.weight_on_player < full.weight_on_player);
+        assert.ok(Math.abs(short.regressed - short.prior_mean) < Math.abs(full.regressed - full.prior_mean));
+      }
+    },
+    {
+      name: 'the shrinkage option accepts position, league, true and off',
+      run() {
+        assert.strictEqual(parseShrinkageOption('League'), 'league');
+        assert.strictEqual(parseShrinkageOption('true'), 'position');
+        assert.strictEqual(parseShrinkageOption('off'), null);
+        assert.strictEqual(parseShrinkageOption(undefined), null);
+        assert.throws(() => parseShrinkageOption('team'), /shrinkage must be one of/);
+      }
+    }
+  ],
+
+  'minutes-projection': [
+    {
+      name: 'blowout probability is the two normal tails beyond a 20-point margin',
+      run() {
+        assertClose(normalCdf(0), 0.5, 1e-7);
+        assertClose(normalCdf(1.96), 0.975, 1e-4);
+        // σ = 12: P(|margin| ≥ 20) for an even game is 2 × (1 − Φ(20/12))
+        assertClose(calculateBlowoutProbability(0), 2 * (1 - normalCdf(20 / 12)), 1e-9);
+        assertClose(calculateBlowoutProbability(0), 0.0956, 1e-4);
+        assert.ok(calculateBlowoutProbability(12) > calculateBlowoutProbability(0));
+        assertClose(calculateBlowoutProbability(12), calculateBlowoutProbability(-12), 1e-9);
+      }
+    },
+    {
+      name: 'season minutes are regressed toward the dataset average by games played',
+      run() {
+        // Dataset average: (36 × 80 + 20 × 20) ÷ 100 = 32.8 minutes
+        const playerStats = {
+          nba_player_stats_check: {
+            players: [
+              { player: 'Starter', minutes_per_game: 36, games: 80 },
+              { player: 'Reserve', minutes_per_game: 20, games: 20 }
+            ]
+          }
+        };
+        const [starter, reserve] = playerStats.nba_player_stats_check.players;
+        const even = projectMinutes(playerStats, starter, { spread: 0 });
+        assertClose(even.baseMinutes, (36 * 80 + 32.8 * 5) / 85, 0.005);
+        assert.strictEqual(even.blowoutAdjustment, 0);
+
+        // Lopsided either way costs a starter minutes; a reserve under 24 MPG keeps them
+        const favored = projectMinutes(playerStats, starter, { spread: -15 });
+        const underdog = projectMinutes(playerStats, starter, { spread: 15 });
+        assert.ok(favored.projectedMinutes < even.projectedMinutes);
+        assert.strictEqual(favored.projectedMinutes, underdog.projectedMinutes);
+        assert.strictEqual(projectMinutes(playerStats, reserve, { spread: -15 }).blowoutAdjustment, 0);
+      }
+    },
+    {
+      name: 'omitted minutes are projected by the pipeline and reported as the model source',
+      run(data) {
+        const result = projectMatchup(data, { player_name: 'Nikola Jokic', opponent_team: 'MEM', usage_adjustment: 1, spread: -8, game_total: 230 });
+        assert.strictEqual(result.inputs.minutes_source, 'model');
+        assert.strictEqual(result.minutes_projection.marginSource, 'spread');
+        assert.strictEqual(result.inputs.projected_minutes, result.minutes_projection.projectedMinutes);
+      }
+    }
+  ],
+
+  'team-projection': [
+    {
+      name: 'reconciling scales the roster to its minutes share of the expected score',
+      run(data) {
+        const result = projectTeam(data, { team: 'BOS', opponent_team: 'MEM', reconcile: 'true' });
+        const { totals, expected_team_score: expected } = result;
+        assert.strictEqual(totals.reconciled, true);
+        assertClose(totals.minutes_coverage, Math.min(1, totals.projected_minutes / 240), 1e-3);
+        assertClose(totals.covered_target, expected.target * totals.minutes_coverage, 0.1);
+        assertClose(totals.scale_factor, totals.covered_target / totals.projected_points, 2e-3);
+        const reconciledSum = result.players.reduce((sum, player) => sum + player.reconciled_points, 0);
+        assertClose(reconciledSum, totals.covered_target, 0.1 * result.players.length);
+        assertClose(totals.reconciled_remainder, expected.target - totals.covered_target, 0.1);
+      }
+    },
+    {
+      name: 'a roster covering too few team minutes is left unscaled with a warning',
+      run(data) {
+        // The shipped data lists four DEN players, about 132 of 240 minutes
+        const result = projectTeam(data, { team: 'DEN', opponent_team: 'MEM', reconcile: 'true' });
+        assert.ok(result.totals.minutes_coverage < 0.75);
+        assert.strictEqual(result.totals.reconciled, false);
+        assert.strictEqual(result.totals.scale_factor, 1);
+        assert.ok(result.players.every(player => player.reconciled_points === null));
+        assert.ok(result.warnings.some(warning => /team minutes; projections were not scaled/.test(warning)));
+      }
+    }
+  ],
+
+  'matchup-explorer': [
+    {
+      name: 'every opponent but the player\'s own team is ranked, with numeric columns',
+      run(data) {
+        const teams = getDatasetBody(data.teamPace).teams;
+        const result = exploreMatchups(data, { player_name: 'Nikola Jokic', projected_minutes: '34', usage_adjustment: '1' });
+        assert.strictEqual(result.matchups.length, teams.length - 1);
+        assert.ok(result.matchups.every(matchup => matchup.opponent !== 'DEN'));
+        result.matchups.forEach(matchup => {
+          ['projected_points', 'fantasy_points', 'projected_minutes', 'pace_adjustment', 'dvp_fga_factor'].forEach(column => {
+            assert.strictEqual(typeof matchup[column], 'number', `${matchup.opponent} ${column}`);
+          });
+          assert.strictEqual(matchup.projected_minutes, 34);
+        });
+        result.matchups.slice(1).forEach((matchup, index) => {
+          assert.ok(matchup.projected_points <= result.matchups[index].projected_points);
+        });
+      }
+    }
+  ],
+
+  'client-bundle': [
+    {
+      name: 'the browser bundle projects exactly what the server does from the served data',
+      run(data) {
+        const context = vm.createContext({});
+        vm.runInContext(buildClientBundle().source, context);
+        const engine = context.ProjectionEngine;
+        assert.ok(engine && typeof engine.projectMatchup === 'function', 'bundle defines ProjectionEngine.projectMatchup');
+
+        // The browser gets the datasets as JSON from /api/season-data
+        const served = JSON.parse(JSON.stringify({
+          season: data.season,
+          playerStats: data.playerStats,
+          teamPace: data.teamPace,
+          dvpData: data.dvpData,
+          validation: data.validation
+        }));
+        const requests = [
+          { player_name: 'Nikola Jokic', opponent_team: 'MEM', usage_adjustment: '1', projected_minutes: '34' },
+          { player_name: 'luka doncic', opponent_team: 'BOS', usage_adjustment: '1.1', spread: '-4', game_total: '228' },
+          { player_name: 'LeBron James', opponent_team: 'GSW', usage_adjustment: '1', teammates_out: 'Anthony Davis', shrinkage: 'position' },
+          { player_name: 'Jayson Tatum', opponent_team: 'NYK', usage_adjustment: '1', scoring_system: 'draftkings', simulate: 'true', seed: '7', simulations: '2000', explain: 'true' }
+        ];
+        requests.forEach(params => {
+          const server = JSON.stringify(projectMatchup(data, params));
+          const client = JSON.stringify(engine.projectMatchup(served, params));
+          assert.strictEqual(client, server, `${params.player_name} vs ${params.opponent_team}`);
+        });
+      }
+    }
+  ],
+
+  'api-v1': [
+    {
+      name: 'the schema validator reports each problem with its path and error code',
+      run() {
+        const document = {
+          components: {
+            schemas: {
+              Body: {
+                type: 'object',
+                required: ['name'],
+                additionalProperties: false,
+                properties: {
+                  name: { type: 'string', minLength: 1 },
+                  minutes: { type: 'number', minimum: 0, exclusiveMinimum: true, maximum: 48, 'x-error-code': 'INVALID_MINUTES' },
+                  names: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 }, 'x-error-code': 'INVALID_TEAMMATE' },
+                  kind: { type: 'string', enum: ['a', 'b'] },
+                  rules: { $ref: '#/components/schemas/Rules' },
+                  note: { type: 'string', nullable: true }
+                }
+              },
+              Rules: { type: 'object', properties: { count: { type: 'integer' } }, 'x-error-code': 'INVALID_SCORING' }
+            }
+          }
+        };
+        assert.deepStrictEqual(validateSchema(document, 'Body', { name: 'x', minutes: 48, names: ['a'], kind: 'a', rules: { count: 2 }, note: null }), []);
+
+        const problems = validateSchema(document, 'Body', {
+          minutes: 0,
+          names: ['a', ' '],
+          kind: 'c',
+          rules: { count: 1.5 },
+          extra: true
+        });
+        const byField = {};
+        problems.forEach(problem => { byField[problem.field] = problem.code; });
+        assert.deepStrictEqual(byField, {
+          name: 'MISSING_PARAMETER',
+          minutes: 'INVALID_MINUTES',
+          'names[1]': 'INVALID_TEAMMATE',
+          kind: 'INVALID_PARAMETER',
+          'rules.count': 'INVALID_SCORING',
+          extra: 'UNKNOWN_PARAMETER'
+        });
+        assert.strictEqual(validateSchema(document, 'Body', []).length, 1);
+      }
+    },
+    {
+      name: 'pipeline results, with every optional section, satisfy the published response schema',
+      run(data) {
+        const result = projectMatchup(data, {
+          player_name: 'LeBron James',
+          opponent_team: 'BOS',
+          usage_adjustment: 1,
+          teammates_out: ['Anthony Davis'],
+          shrinkage: 'league',
+          prop_line: 24.5,
+          seed: 1,
+          simulations: 1000,
+          explain: true,
+          game_total: 226,
+          spread: 3
+        });
+        const response = {
+          success: true,
+          ...result,
+          warnings: result.warnings.map(message => ({ code: 'MISSING_DVP', message, field: 'opponent_team' })),
+          metadata: { api_version: '1', calculation_date: new Date(0).toISOString(), ...describeData(data) }
+        };
+        assert.deepStrictEqual(validateAgainstSchema('ProjectionResponse', response), []);
+        assert.deepStrictEqual(validateAgainstSchema('ProjectionRequest', { player_name: 'x', opponent_team: 'y', teammates_out: ['a', ''] })
+          .map(problem => problem.field), ['teammates_out[1]']);
+      }
+    },
+    {
+      name: 'errors inside the calculation and simulation keep their own message',
+      run(data) {
+        const player = findPlayerRow(data, 'Nikola Jokic');
+        assert.throws(
+          () => simulateProjectedPoints(player, { projectedMinutes: 60, usageAdjustment: 1 }, { paceAdjustment: 1, dvpFgaFactor: 1, dvpFtaFactor: 1 }, { seed: 1 }),
+          error => /^Projected Minutes cannot exceed 48/.test(error.message)
+        );
+        assertRequestError(() => projectMatchup(data, { player_name: 'Nikola Jokic', opponent_team: 'MEM', usage_adjustment: 1, simulate: true, seed: -1 }),
+          400, 'INVALID_SIMULATION', 'seed');
+      }
+    }
+  ],
+
+  'lineup-optimizer': [
+    {
+      name: 'branch and bound finds the same top lineups as trying every player set',
+      run() {
+        const positions = [['PG'], ['SG'], ['SF'], ['PF'], ['C'], ['PG', 'SG'], ['SF', 'PF'], ['PF', 'C'], ['SG'], ['C'], ['PG'], ['SF']];
+        const pool = positions.map((playerPositions, index) => ({
+          id: String(index),
+          name: `Player ${index}`,
+          team: ['AAA', 'BBB', 'CCC'][index % 3],
+          opponent: 'DDD',
+          positions: playerPositions,
+          salary: 3000 + ((index * 7) % 9) * 500,
+          projected_points: 15 + ((index * 11) % 13) * 2.25
+        }));
+        const cases = [
+          { slots: ['PG', 'SG', 'SF', 'PF', 'C'], salaryCap: 25000, maxPerTeam: null, count: 5 },
+          { slots: ['G', 'F', 'C', 'UTIL', 'UTIL'], salaryCap: 24000, maxPerTeam: 2, count: 8 },
+          { slots: ['PG', 'SG', 'F', 'F', 'UTIL'], salaryCap: 26000, maxPerTeam: 2, locks: [pool[9]], count: 6 }
+        ];
+        cases.forEach(options => {
+          const lineups = optimizeLineups(pool, options);
+          assert.strictEqual(lineups.length, options.count);
+          assert.deepStrictEqual(lineups.map(lineup => lineup.projected_points), bruteForceLineupTotals(pool, options));
+          lineups.forEach(lineup => {
+            assert.ok(lineup.salary <= options.salaryCap);
+            assert.strictEqual(new Set(lineup.players.map(player => player.id)).size, options.slots.length);
+            lineup.players.forEach(player => {
+              const entry = pool.find(candidate => candidate.id === player.id);
+              assert.ok(entry.positions.some(position => SLOT_POSITIONS[player.slot].includes(position)));
+            });
+            (options.locks || []).forEach(lock => assert.ok(lineup.players.some(player => player.id === lock.id)));
+          });
+        });
+        assert.deepStrictEqual(optimizeLineups(pool, { slots: ['C', 'C', 'C'], salaryCap: 60000, maxPerTeam: null, count: 3 }).length, 1);
+      }
+    },
+    {
+      name: 'salary files are detected by their columns and bad rows are reported',
+      run() {
+        const fanduel = parseSalaryFile([
+          'Id,Position,First Name,Nickname,Last Name,FPPG,Played,Salary,Game,Team,Opponent,Injury Indicator',
+          '1-1,PG/SG,Stephen,Stephen Curry,Curry,45.1,60,9800,GS@LAL,GS,LAL,',
+          '1-2,C,Anthony,Anthony Davis,Davis,50.2,58,10400,GS@LAL,LAL,GS,O',
+          '1-3,SF,LeBron,LeBron James,James,48.3,55,,GS@LAL,LAL,GS,'
+        ].join('\n'));
+        assert.strictEqual(fanduel.site, 'fanduel');
+        assert.deepStrictEqual(fanduel.players.map(player => [player.name, player.positions, player.team, player.opponent, player.out]), [
+          ['Stephen Curry', ['PG', 'SG'], 'GSW', 'LAL', false],
+          ['Anthony Davis', ['C'], 'LAL', 'GSW', true]
+        ]);
+        assert.deepStrictEqual(fanduel.rowErrors, [{ row: 4, name: 'LeBron James', error: 'Missing or invalid salary.' }]);
+
+        const draftkings = parseSalaryFile([
+          'Position,Name + ID,Name,ID,Roster Position,Salary,Game Info,TeamAbbrev,AvgPointsPerGame',
+          'PF/C,Nikola Jokic (1),Nikola Jokic,1,PF/C/F/UTIL,11200,DEN@PHX 10:00PM ET,DEN,58.1'
+        ].join('\n'));
+        assert.strictEqual(draftkings.site, 'draftkings');
+        assert.deepStrictEqual(draftkings.players.map(player => [player.positions, player.opponent]), [[['PF', 'C'], 'PHO']]);
+
+        assert.strictEqual(detectSalarySite(['Name', 'Salary']), null);
+        assert.throws(() => parseSalaryFile('Position,Name + ID,Salary\nC,X (1),5000', 'fanduel'), /looks like a draftkings export, not fanduel/);
+      }
+    }
+  ],
+
+  simulation: [
+    {
+      name: 'a seed reproduces the distribution, centered on the deterministic projection',
+      run(data) {
+        const params = { player_name: 'Nikola Jokic', opponent_team: 'MEM', projected_minutes: 34, usage_adjustment: 1, seed: 7, simulations: 20000, prop_line: 25.5 };
+        const first = projectMatchup(data, params);
+        const second = projectMatchup(data, params);
+        assert.deepStrictEqual(first.distribution, second.distribution);
+        assert.notDeepStrictEqual(projectMatchup(data, { ...params, seed: 8 }).distribution, first.distribution);
+
+        const { distribution, projection } = first;
+        assert.strictEqual(distribution.simulations, 20000);
+        assert.ok(Math.abs(distribution.mean - projection.projectedPoints) < 0.5,
+          `simulated mean ${distribution.mean} vs projection ${projection.projectedPoints}`);
+        assert.ok(distribution.percentiles.p10 <= distribution.percentiles.p50 && distribution.percentiles.p50 <= distribution.percentiles.p90);
+        assertClose(distribution.probOver + distribution.probUnder + distribution.probPush, 1, 1e-3);
+      }
+    },
+    {
+      name: 'simulation budgets count only the games a projection would simulate',
+      run() {
+        assert.strictEqual(countRequestedSimulations({ player_name: 'x' }), 0);
+        assert.strictEqual(countRequestedSimulations({ simulate: 'true' }), DEFAULT_SIMULATIONS);
+        assert.strictEqual(countRequestedSimulations({ prop_line: 20.5, simulations: '500' }), 500);
+        assert.strictEqual(countRequestedSimulations({ simulate: true, simulations: MAX_SIMULATIONS + 1 }), 0);
+        assert.strictEqual(countRequestedSimulations({ simulate: true, simulations: 2.5 }), 0);
+      }
+    }
+  ]
+};
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const areas = args.only ? [args.only] : Object.keys(CHECKS);
+  areas.forEach(area => {
+    if (!CHECKS[area]) {
+      throw new Error(`Unknown area "${area}". Use one of ${Object.keys(CHECKS).join(', ')}.`);
+    }
+  });
+
+  const data = loadData();
+  const failures = [];
+  let passed = 0;
+  areas.forEach(area => {
+    CHECKS[area].forEach(check => {
+      try {
+        check.run(data);
+        passed++;
+        console.log(`  ok    ${area}: ${check.name}`);
+      } catch (error) {
+        failures.push({ area, name: check.name, error });
+        console.log(`  FAIL  ${area}: ${check.name}`);
+      }
+    });
+  });
+
+  failures.forEach(failure => {
+    console.error(`\n${failure.area}: ${failure.name}\n  ${failure.error.message}`);
+  });
+  console.log(`\n${passed} passed, ${failures.length} failed`);
+  if (failures.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`check-behavior failed: ${error.message}`);
+    process.exit(1);
+  }
+}
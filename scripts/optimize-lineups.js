@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Builds DFS lineups from a FanDuel or DraftKings salary file.
+ *
+ * Usage:
+ *   node scripts/optimize-lineups.js --salaries FanDuel-NBA-players-list.csv \
+ *     [--site fanduel|draftkings] [--lineups 20] [--lock "Jayson Tatum,Jalen Brunson"] \
+ *     [--exclude "Bench Guy"] [--max-per-team 3] [--shrinkage position|league] \
+ *     [--season 2024-25] [--out lineups.csv|lineups.json]
+ *
+ * Players are matched to the player dataset by name, projected for the site's
+ * scoring against the opponent in the file, and the top distinct lineups under
+ * the salary cap, roster slots and team limit are printed, best first. --lock
+ * and --exclude take names or salary file IDs, comma-separated. An --out path
+ * ending in .csv writes the lineups in the site's upload format (one column per
+ * roster slot, player IDs); any other path writes the full result as JSON.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadData } = require('../utils/nba-data');
+const { buildLineups } = require('../utils/lineup-optimizer');
+
+/**
+ * Parses command-line flags of the form `--name value` and bare `--flag`.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {Object} Flag values keyed by name.
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(.+)$/.exec(argv[i]);
+    if (!match) {
+      throw new Error(`Unexpected argument "${argv[i]}".`);
+    }
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[match[1]] = true;
+    } else {
+      args[match[1]] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Formats lineups in the upload format the sites accept: one column per slot, player IDs.
+ * @param {Object} result - Result of `buildLineups`.
+ * @returns {string} CSV text with a header row and trailing newline.
+ */
+function toUploadCsv(result) {
+  const lines = [result.slots.join(',')];
+  result.lineups.forEach(lineup => {
+    lines.push(lineup.players.map(player => player.id).join(','));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Prints lineups and import problems to the console.
+ * @param {Object} result - Result of `buildLineups`.
+ */
+function printLineups(result) {
+  console.log(`${result.site}: ${result.pool.length} players projected, ` +
+    `salary cap $${result.salary_cap}, max ${result.max_per_team || 'any'} per team`);
+  result.lineups.forEach(lineup => {
+    console.log(`\n#${lineup.rank}  ${lineup.projected_points.toFixed(2)} pts  $${lineup.salary} ($${lineup.remaining_salary} left)`);
+    lineup.players.forEach(player => {
+      console.log(`  ${player.slot.padEnd(5)}${player.name.padEnd(26)}${player.team.padEnd(5)}$${String(player.salary).padEnd(7)}${player.projected_points.toFixed(2)}`);
+    });
+  });
+  result.unmatched.forEach(entry => console.warn(`Unmatched row ${entry.row} (${entry.name})` +
+    (entry.suggestions.length > 0 ? `; did you mean ${entry.suggestions.join(', ')}?` : '')));
+  result.skipped.forEach(entry => console.warn(`Skipped row ${entry.row} (${entry.name}): ${entry.error}`));
+  result.row_errors.forEach(entry => console.warn(`Invalid row ${entry.row} (${entry.name || 'no name'}): ${entry.error}`));
+  result.warnings.forEach(warning => console.warn(warning));
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.salaries || args.salaries === true) {
+    throw new Error('--salaries is required (path to a FanDuel or DraftKings salary CSV).');
+  }
+
+  const data = loadData(args.season === true ? undefined : args.season);
+  const result = buildLineups(data, {
+    csv: fs.readFileSync(path.resolve(args.salaries), 'utf8'),
+    site: args.site,
+    lineups: args.lineups,
+    locks: args.lock,
+    excludes: args.exclude,
+    max_per_team: args['max-per-team'],
+    shrinkage: args.shrinkage
+  });
+  printLineups(result);
+
+  if (args.out) {
+    const outPath = path.resolve(args.out);
+    if (path.extname(outPath).toLowerCase() === '.csv') {
+      fs.writeFileSync(outPath, toUploadCsv(result));
+    } else {
+      const report = {
+        generated_at: new Date().toISOString(),
+        season: data.season,
+        salaries_file: path.basename(args.salaries),
+        ...result
+      };
+      fs.writeFileSync(outPath, `${JSON.stringify(report, null, 2)}\n`);
+    }
+    console.log(`\nLineups written to ${args.out}`);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`optimize-lineups failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  toUploadCsv
+};
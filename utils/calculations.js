@@ -22,6 +22,51 @@ function calculatePaceAdjustment(opponentPace, leagueAvgPace) {
   return opponentPace / leagueAvgPace;
 }
 
+/**
+ * Calculates the expected possessions per 48 minutes for a game between two teams.
+ * Each team's pace is compared to league average and the effects are combined
+ * multiplicatively (team pace × opponent pace ÷ league average pace).
+ * @param {number} teamPace - Player's own team pace.
+ * @param {number} opponentPace - Opponent team's pace.
+ * @param {number} leagueAvgPace - League average pace.
+ * @returns {number|null} Expected game pace, or null if any input is invalid.
+ */
+function calculateGamePace(teamPace, opponentPace, leagueAvgPace) {
+  if ([teamPace, opponentPace, leagueAvgPace].some(value =>
+      typeof value !== 'number' || !isFinite(value) || value <= 0)) {
+    return null;
+  }
+  return (teamPace * opponentPace) / leagueAvgPace;
+}
+
+/**
+ * Calculates a team's expected score from offensive/defensive ratings and game pace.
+ * Ratings are points per 100 possessions, so the team's offense is adjusted by how
+ * the opponent's defense compares to league average, then scaled to the game's possessions.
+ * @param {number} offensiveRating - Team's offensive rating.
+ * @param {number} opponentDefensiveRating - Opponent's defensive rating.
+ * @param {number} leagueAvgRating - League average rating.
+ * @param {number} gamePace - Expected game pace (possessions).
+ * @returns {number|null} Expected team points, or null if any input is invalid.
+ */
+function calculateExpectedTeamScore(offensiveRating, opponentDefensiveRating, leagueAvgRating, gamePace) {
+  if ([offensiveRating, opponentDefensiveRating, leagueAvgRating, gamePace].some(value =>
+      typeof value !== 'number' || !isFinite(value) || value <= 0)) {
+    return null;
+  }
+  return (offensiveRating * opponentDefensiveRating / leagueAvgRating) * (gamePace / 100);
+}
+
+/**
+ * Calculates a team's implied total from a Vegas game total and spread.
+ * @param {number} gameTotal - Vegas over/under for the game.
+ * @param {number} [spread=0] - The team's point spread (negative = favored, e.g., -6.5).
+ * @returns {number} Implied team points.
+ */
+function calculateImpliedTeamTotal(gameTotal, spread = 0) {
+  return (gameTotal - spread) / 2;
+}
+
 /**
  * Calculates projected field goal attempts for a player in a given game.
  * @param {number} fga36 - Player's field goal attempts per 36 minutes.
@@ -110,6 +155,116 @@ function validateAndParseNumber(value, fieldName, allowZero = false) {
   return parsedValue;
 }
 
+// Upper bounds on the game parameters
+const MAX_PROJECTED_MINUTES = 48;
+const MAX_USAGE_ADJUSTMENT = 5;
+
+/**
+ * Validates inputs and runs the shot-volume and scoring calculations without rounding.
+ * Shared by `calculateTotalProjectedPoints` and `calculateProjectedStatLine` so both
+ * report exactly the same points.
+ *
+ * @param {Object} playerData - Player statistical data.
+ * @param {Object} rawGameParams - Game-specific parameters (projectedMinutes, usageAdjustment,
+ * and maxMinutes to raise the MAX_PROJECTED_MINUTES limit, e.g. for overtime games).
+ * @param {Object} adjustments - Adjustment factors (paceAdjustment, dvpFgaFactor, dvpFtaFactor).
+ * @returns {Object} Unrounded minutes, usage, attempts and points by shot type.
+ * @throws {Error} If any input data is missing, invalid, or cannot be parsed.
+ */
+function projectScoring(playerData, rawGameParams, adjustments) {
+  // --- STEP 1: Validate and Parse Raw Game Parameters from UI ---
+  // This is where we handle the string-to-number conversion and validation
+  const projectedMinutes = validateAndParseNumber(rawGameParams.projectedMinutes, 'Projected Minutes');
+  // usageAdjustment can be 0.x, so allowZero is false (still must be > 0)
+  const usageAdjustment = validateAndParseNumber(rawGameParams.usageAdjustment, 'Usage Adjustment');
+
+  // Additional validation for game parameters
+  const maxMinutes = rawGameParams.maxMinutes || MAX_PROJECTED_MINUTES;
+  if (projectedMinutes > maxMinutes) {
+    throw new Error(`Projected Minutes cannot exceed ${maxMinutes}.`);
+  }
+  // usageAdjustment can be outside 0-5 range, but this is a common validation. Adjust if needed.
+  if (usageAdjustment > MAX_USAGE_ADJUSTMENT) {
+    throw new Error(`Usage Adjustment cannot exceed ${MAX_USAGE_ADJUSTMENT.toFixed(1)}.`);
+  }
+
+  // --- STEP 2: Extract Player Data and Validate Player Data ---
+  const {
+    FGA_36,
+    FTA_36,
+    two_point_percentage,
+    three_point_percentage,
+    free_throw_percentage,
+    three_point_attempt_rate
+  } = playerData;
+
+  // Use a helper function to validate essential player stats
+  if (!validatePlayerData({
+      FGA_36, FTA_36, two_point_percentage,
+      three_point_percentage, free_throw_percentage, three_point_attempt_rate
+  })) {
+    throw new Error('Missing or invalid core player statistics required for calculation.');
+  }
+
+  // --- STEP 3: Extract Adjustment Factors ---
+  const { paceAdjustment, dvpFgaFactor, dvpFtaFactor } = adjustments;
+
+  // Basic validation for adjustment factors (assuming they come pre-calculated and are numbers)
+  if (typeof paceAdjustment !== 'number' || !isFinite(paceAdjustment) || paceAdjustment <= 0 ||
+      typeof dvpFgaFactor !== 'number' || !isFinite(dvpFgaFactor) || dvpFgaFactor <= 0 ||
+      typeof dvpFtaFactor !== 'number' || !isFinite(dvpFtaFactor) || dvpFtaFactor <= 0) {
+      throw new Error('Invalid or missing adjustment factors.');
+  }
+
+  // --- STEP 4: Perform Calculations ---
+  const projectedFGA = calculateProjectedFGA(
+    FGA_36,
+    projectedMinutes,
+    usageAdjustment,
+    dvpFgaFactor,
+    paceAdjustment
+  );
+
+  const projectedFTA = calculateProjectedFTA(
+    FTA_36,
+    projectedMinutes,
+    usageAdjustment,
+    dvpFtaFactor,
+    paceAdjustment
+  );
+
+  const twoPointPoints = calculateTwoPointPoints(
+    projectedFGA,
+    three_point_attempt_rate,
+    two_point_percentage
+  );
+
+  const threePointPoints = calculateThreePointPoints(
+    projectedFGA,
+    three_point_attempt_rate,
+    three_point_percentage
+  );
+
+  const freeThrowPoints = calculateFreeThrowPoints(
+    projectedFTA,
+    free_throw_percentage
+  );
+
+  return {
+    projectedMinutes,
+    usageAdjustment,
+    paceAdjustment,
+    projectedFGA,
+    projectedFTA,
+    twoPointAttempts: projectedFGA * (1 - three_point_attempt_rate),
+    threePointAttempts: projectedFGA * three_point_attempt_rate,
+    twoPointPoints,
+    threePointPoints,
+    freeThrowPoints,
+    totalProjectedPoints: twoPointPoints + threePointPoints + freeThrowPoints
+  };
+}
+
 /**
  * Main function to calculate total projected points for an NBA player.
  * This function handles input parsing and validation.
@@ -125,108 +280,139 @@ function validateAndParseNumber(value, fieldName, allowZero = false) {
  * @throws {Error} If any input data is missing, invalid, or cannot be parsed.
  */
 function calculateTotalProjectedPoints(playerData, rawGameParams, adjustments) {
-  try {
-    // --- STEP 1: Validate and Parse Raw Game Parameters from UI ---
-    // This is where we handle the string-to-number conversion and validation
-    const projectedMinutes = validateAndParseNumber(rawGameParams.projectedMinutes, 'Projected Minutes');
-    // usageAdjustment can be 0.x, so allowZero is false (still must be > 0)
-    const usageAdjustment = validateAndParseNumber(rawGameParams.usageAdjustment, 'Usage Adjustment');
-
-    // Additional validation for game parameters
-    if (projectedMinutes > 48) {
-      throw new Error('Projected Minutes cannot exceed 48.');
-    }
-    // usageAdjustment can be outside 0-5 range, but this is a common validation. Adjust if needed.
-    if (usageAdjustment > 5) {
-      throw new Error('Usage Adjustment cannot exceed 5.0.');
-    }
+  const scoring = projectScoring(playerData, rawGameParams, adjustments);
 
-    // --- STEP 2: Extract Player Data and Validate Player Data ---
-    const {
-      FGA_36,
-      FTA_36,
-      two_point_percentage,
-      three_point_percentage,
-      free_throw_percentage,
-      three_point_attempt_rate
-    } = playerData;
-
-    // Use a helper function to validate essential player stats
-    if (!validatePlayerData({
-        FGA_36, FTA_36, two_point_percentage,
-        three_point_percentage, free_throw_percentage, three_point_attempt_rate
-    })) {
-      throw new Error('Missing or invalid core player statistics required for calculation.');
+  // --- STEP 5: Return Rounded Results for Display ---
+  return {
+    projectedPoints: parseFloat(scoring.totalProjectedPoints.toFixed(1)), // Round to 1 decimal for display
+    breakdown: {
+      twoPointers: parseFloat(scoring.twoPointPoints.toFixed(1)),
+      threePointers: parseFloat(scoring.threePointPoints.toFixed(1)),
+      freeThrows: parseFloat(scoring.freeThrowPoints.toFixed(1)),
+      projectedFGA: parseFloat(scoring.projectedFGA.toFixed(1)),
+      projectedFTA: parseFloat(scoring.projectedFTA.toFixed(1)),
+      paceAdjustment: parseFloat(scoring.paceAdjustment.toFixed(2)) // Pace usually 2 decimals
+    },
+    attempts: {
+      twoPointAttempts: parseFloat(scoring.twoPointAttempts.toFixed(1)),
+      threePointAttempts: parseFloat(scoring.threePointAttempts.toFixed(1)),
+      freeThrowAttempts: parseFloat(scoring.projectedFTA.toFixed(1))
     }
+  };
+}
 
-    // --- STEP 3: Extract Adjustment Factors ---
-    const { paceAdjustment, dvpFgaFactor, dvpFtaFactor } = adjustments;
+/**
+ * Calculates an opponent factor for non-shooting stats from DVP fantasy points allowed.
+ * If either value is missing or zero, a default of 1.0 (no adjustment) is returned.
+ * @param {number} fanduelPointsAllowed - Opponent's FanDuel points allowed to the position.
+ * @param {number} leagueAvgFanduelPointsAllowed - League average FanDuel points allowed to the position.
+ * @returns {number} Opponent adjustment multiplier.
+ */
+function calculateOpponentStatFactor(fanduelPointsAllowed, leagueAvgFanduelPointsAllowed) {
+  if (typeof fanduelPointsAllowed !== 'number' || typeof leagueAvgFanduelPointsAllowed !== 'number' ||
+      !isFinite(fanduelPointsAllowed) || !isFinite(leagueAvgFanduelPointsAllowed) ||
+      fanduelPointsAllowed <= 0 || leagueAvgFanduelPointsAllowed <= 0) {
+    return 1.0;
+  }
+  return fanduelPointsAllowed / leagueAvgFanduelPointsAllowed;
+}
 
-    // Basic validation for adjustment factors (assuming they come pre-calculated and are numbers)
-    if (typeof paceAdjustment !== 'number' || !isFinite(paceAdjustment) || paceAdjustment <= 0 ||
-        typeof dvpFgaFactor !== 'number' || !isFinite(dvpFgaFactor) || dvpFgaFactor <= 0 ||
-        typeof dvpFtaFactor !== 'number' || !isFinite(dvpFtaFactor) || dvpFtaFactor <= 0) {
-        throw new Error('Invalid or missing adjustment factors.');
-    }
+/**
+ * Projects a per-game counting stat (rebounds, assists, ...) to a game.
+ * The season rate is converted to per-minute using the player's minutes per game.
+ * @param {number} perGame - Player's season average for the stat.
+ * @param {number} minutesPerGame - Player's season minutes per game.
+ * @param {number} projectedMinutes - Player's projected minutes for the game.
+ * @param {number} paceAdjustment - Overall game pace adjustment factor.
+ * @param {number} opponentFactor - Opponent adjustment factor for the stat.
+ * @returns {number} Projected value of the stat.
+ */
+function calculateProjectedCountingStat(perGame, minutesPerGame, projectedMinutes, paceAdjustment, opponentFactor) {
+  return (perGame / minutesPerGame) * projectedMinutes * paceAdjustment * opponentFactor;
+}
+
+// Counting stats projected from per-game averages, keyed by stat-line name.
+// `usage` marks stats that scale with the usage adjustment like shot volume does.
+const COUNTING_STATS = {
+  rebounds: { field: 'rebounds_per_game', usage: false },
+  assists: { field: 'assists_per_game', usage: false },
+  steals: { field: 'steals_per_game', usage: false },
+  blocks: { field: 'blocks_per_game', usage: false },
+  turnovers: { field: 'turnovers_per_game', usage: true }
+};
 
-    // --- STEP 4: Perform Calculations ---
-    const projectedFGA = calculateProjectedFGA(
-      FGA_36,
-      projectedMinutes,
-      usageAdjustment,
-      dvpFgaFactor,
-      paceAdjustment
-    );
-
-    const projectedFTA = calculateProjectedFTA(
-      FTA_36,
-      projectedMinutes,
-      usageAdjustment,
-      dvpFtaFactor,
-      paceAdjustment
-    );
-
-    const twoPointPoints = calculateTwoPointPoints(
-      projectedFGA,
-      three_point_attempt_rate,
-      two_point_percentage
-    );
-
-    const threePointPoints = calculateThreePointPoints(
-      projectedFGA,
-      three_point_attempt_rate,
-      three_point_percentage
-    );
-
-    const freeThrowPoints = calculateFreeThrowPoints(
-      projectedFTA,
-      free_throw_percentage
-    );
-
-    const totalProjectedPoints = twoPointPoints + threePointPoints + freeThrowPoints;
-
-    // --- STEP 5: Return Rounded Results for Display ---
-    return {
-      projectedPoints: parseFloat(totalProjectedPoints.toFixed(1)), // Round to 1 decimal for display
-      breakdown: {
-        twoPointers: parseFloat(twoPointPoints.toFixed(1)),
-        threePointers: parseFloat(threePointPoints.toFixed(1)),
-        freeThrows: parseFloat(freeThrowPoints.toFixed(1)),
-        projectedFGA: parseFloat(projectedFGA.toFixed(1)),
-        projectedFTA: parseFloat(projectedFTA.toFixed(1)),
-        paceAdjustment: parseFloat(paceAdjustment.toFixed(2)) // Pace usually 2 decimals
-      },
-      attempts: {
-        twoPointAttempts: parseFloat((projectedFGA * (1 - three_point_attempt_rate)).toFixed(1)),
-        threePointAttempts: parseFloat((projectedFGA * three_point_attempt_rate).toFixed(1)),
-        freeThrowAttempts: parseFloat(projectedFTA.toFixed(1))
-      }
-    };
-
-  } catch (error) {
-    // Re-throw with a consistent prefix for easier debugging at a higher level
-    throw new Error(`Calculation failed: ${error.message}`);
+/**
+ * Projects a full fantasy-relevant stat line for an NBA player.
+ * Points, makes and attempts come from the same shooting model as
+ * `calculateTotalProjectedPoints`; rebounds, assists and other counting stats
+ * are scaled from per-game averages by minutes, pace and the opponent factor.
+ * Counting stats missing from the player data are reported as null and listed
+ * in `unavailableStats`.
+ *
+ * @param {Object} playerData - Player statistical data. In addition to the shooting
+ * fields, uses minutes_per_game and any of rebounds_per_game, assists_per_game,
+ * steals_per_game, blocks_per_game, turnovers_per_game.
+ * @param {Object} rawGameParams - Game-specific parameters (projectedMinutes, usageAdjustment).
+ * @param {Object} adjustments - paceAdjustment, dvpFgaFactor, dvpFtaFactor and
+ * optionally opponentStatFactor (defaults to 1.0).
+ * @returns {Object} Rounded stat line and the list of unavailable stats.
+ * @throws {Error} If any input data is missing, invalid, or cannot be parsed.
+ */
+function calculateProjectedStatLine(playerData, rawGameParams, adjustments) {
+  const scoring = projectScoring(playerData, rawGameParams, adjustments);
+
+  const { minutes_per_game, three_point_percentage, two_point_percentage, free_throw_percentage } = playerData;
+  if (typeof minutes_per_game !== 'number' || !isFinite(minutes_per_game) || minutes_per_game <= 0) {
+    throw new Error('Missing or invalid minutes_per_game required for stat line projection.');
+  }
+
+  const opponentStatFactor = adjustments.opponentStatFactor === undefined ? 1.0 : adjustments.opponentStatFactor;
+  if (typeof opponentStatFactor !== 'number' || !isFinite(opponentStatFactor) || opponentStatFactor <= 0) {
+    throw new Error('Invalid opponent stat factor.');
   }
+
+  const threePointersMade = scoring.threePointAttempts * three_point_percentage;
+  const twoPointersMade = scoring.twoPointAttempts * two_point_percentage;
+  const freeThrowsMade = scoring.projectedFTA * free_throw_percentage;
+
+  const statLine = {
+    points: scoring.totalProjectedPoints,
+    three_pointers_made: threePointersMade,
+    field_goals_made: twoPointersMade + threePointersMade,
+    field_goals_attempted: scoring.projectedFGA,
+    free_throws_made: freeThrowsMade,
+    free_throws_attempted: scoring.projectedFTA
+  };
+  const unavailableStats = [];
+
+  Object.keys(COUNTING_STATS).forEach(stat => {
+    const { field, usage } = COUNTING_STATS[stat];
+    const perGame = playerData[field];
+    if (typeof perGame !== 'number' || !isFinite(perGame) || perGame < 0) {
+      statLine[stat] = null;
+      unavailableStats.push(stat);
+      return;
+    }
+    statLine[stat] = calculateProjectedCountingStat(
+      perGame,
+      minutes_per_game,
+      scoring.projectedMinutes,
+      scoring.paceAdjustment,
+      opponentStatFactor
+    ) * (usage ? scoring.usageAdjustment : 1);
+  });
+
+  Object.keys(statLine).forEach(stat => {
+    if (statLine[stat] !== null) {
+      statLine[stat] = parseFloat(statLine[stat].toFixed(1));
+    }
+  });
+
+  return {
+    statLine,
+    unavailableStats,
+    opponentStatFactor: parseFloat(opponentStatFactor.toFixed(3))
+  };
 }
 
 /**
@@ -253,12 +439,22 @@ function validatePlayerData(playerData) {
 
 // Export functions for use in other modules
 module.exports = {
+  MAX_PROJECTED_MINUTES,
+  MAX_USAGE_ADJUSTMENT,
   calculatePaceAdjustment,
+  calculateGamePace,
+  calculateExpectedTeamScore,
+  calculateImpliedTeamTotal,
   calculateProjectedFGA,
   calculateProjectedFTA,
   calculateTwoPointPoints,
   calculateThreePointPoints,
   calculateFreeThrowPoints,
+  validateAndParseNumber,
+  projectScoring,
   calculateTotalProjectedPoints,
+  calculateOpponentStatFactor,
+  calculateProjectedCountingStat,
+  calculateProjectedStatLine,
   validatePlayerData // Still useful for initial data checks outside main calculation
 };
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * @fileoverview Browser bundle of the calculation and data-lookup modules.
+ * The modules listed below are plain CommonJS with no Node-only dependencies.
+ * They are wrapped, unchanged, in a small module registry so the browser
+ * runs the same source as the API. The bundle defines `ProjectionEngine` on
+ * the global object with the entry points the offline client needs.
+ */
+
+// Modules shipped to the browser; each may only require other modules in this list
+const CLIENT_MODULES = [
+  'calculations',
+  'teams',
+  'player-names',
+  'data-lookup',
+  'positions',
+  'shooting-regression',
+  'minutes-projection',
+  'scoring',
+  'simulation',
+  'game-environment',
+  'teammate-absences',
+  'projection-explain',
+  'projection-pipeline',
+  'data-loader'
+];
+
+// Properties of `ProjectionEngine`, mapped to [module, export]
+const CLIENT_EXPORTS = {
+  projectMatchup: ['projection-pipeline', 'projectMatchup'],
+  searchPlayers: ['data-lookup', 'searchPlayers'],
+  describeData: ['data-lookup', 'describeData'],
+  getPlayerPositions: ['positions', 'getPlayerPositions'],
+  loadSeasonData: ['data-loader', 'loadSeasonData']
+};
+
+const REQUIRE_PATTERN = /require\(\s*['"]([^'"]+)['"]\s*\)/g;
+
+// Built once per process; the sources only change on deploy
+let cachedBundle = null;
+
+/**
+ * Reads a client module and checks that everything it requires is bundled too.
+ * @param {string} name - Module name (file name in utils/ without .js).
+ * @returns {string} The module source.
+ * @throws {Error} If the module requires something outside CLIENT_MODULES.
+ */
+function readClientModule(name) {
+  const source = fs.readFileSync(path.join(__dirname, `${name}.js`), 'utf8');
+  for (const match of source.matchAll(REQUIRE_PATTERN)) {
+    if (!CLIENT_MODULES.includes(match[1].replace(/^\.\//, ''))) {
+      throw new Error(`Client module ${name} requires "${match[1]}", which is not in the browser bundle.`);
+    }
+  }
+  return source;
+}
+
+/**
+ * Builds the browser bundle.
+ * @returns {Object} { source, version } where version is a hash of the bundled modules.
+ * @throws {Error} If a module cannot be read or requires a non-client module.
+ */
+function buildClientBundle() {
+  if (cachedBundle) {
+    return cachedBundle;
+  }
+
+  const definitions = CLIENT_MODULES.map(name =>
+    `  ${JSON.stringify(`./${name}`)}: function (module, exports, require) {\n${readClientModule(name)}\n  }`);
+  const entryPoints = Object.keys(CLIENT_EXPORTS).map(property => {
+    const [name, exportName] = CLIENT_EXPORTS[property];
+    return `    ${property}: load(${JSON.stringify(`./${name}`)}).${exportName}`;
+  });
+  const version = crypto.createHash('sha256')
+    .update(definitions.join('\n'))
+    .update(entryPoints.join('\n'))
+    .digest('hex')
+    .slice(0, 12);
+
+  const source = [
+    `/* Projection engine ${version}: generated from utils/ by utils/client-bundle.js */`,
+    '(function (root) {',
+    '  var definitions = {',
+    definitions.join(',\n'),
+    '  };',
+    '  var cache = {};',
+    '  function load(name) {',
+    '    if (!cache[name]) {',
+    '      if (!definitions[name]) {',
+    '        throw new Error(\'Module \' + name + \' is not part of the browser bundle\');',
+    '      }',
+    '      // Registered before running so circular requires see partial exports, as in Node',
+    '      var module = { exports: {} };',
+    '      cache[name] = module;',
+    '      definitions[name](module, module.exports, load);',
+    '    }',
+    '    return cache[name].exports;',
+    '  }',
+    '  root.ProjectionEngine = {',
+    `    version: ${JSON.stringify(version)},`,
+    entryPoints.join(',\n'),
+    '  };',
+    '})(typeof self !== \'undefined\' ? self : this);',
+    ''
+  ].join('\n');
+
+  cachedBundle = { source, version };
+  return cachedBundle;
+}
+
+module.exports = {
+  CLIENT_MODULES,
+  buildClientBundle
+};
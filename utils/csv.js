@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Minimal CSV reading and writing.
+ * Handles quoted fields, escaped quotes ("") and CRLF line endings, which is
+ * enough for Basketball-Reference, DFS salary and game-log exports.
+ */
+
+/**
+ * Splits CSV text into rows of raw string cells.
+ * @param {string} text - CSV file contents.
+ * @returns {string[][]} Rows of cells, with blank lines removed.
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  // Strip a UTF-8 byte order mark some spreadsheet exports add
+  const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parses CSV text with a header row into objects keyed by (trimmed) header names.
+ * Repeated header rows, as found in Basketball-Reference exports, are skipped.
+ * @param {string} text - CSV file contents.
+ * @returns {Object[]} One object per data row; values are trimmed strings.
+ */
+function parseCsv(text) {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) {
+    return [];
+  }
+  const headers = rows[0].map(header => header.trim());
+
+  return rows.slice(1)
+    .filter(cells => cells[0].trim() !== headers[0] || cells[1] === undefined || cells[1].trim() !== headers[1])
+    .map(cells => {
+      const record = {};
+      headers.forEach((header, index) => {
+        record[header] = cells[index] === undefined ? '' : cells[index].trim();
+      });
+      return record;
+    });
+}
+
+/**
+ * Quotes a value for CSV output if it contains a delimiter, quote or newline.
+ * @param {any} value - The value to format.
+ * @returns {string} CSV-safe cell text.
+ */
+function formatCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes objects to CSV text.
+ * @param {Object[]} records - Rows to write.
+ * @param {string[]} columns - Column names, in output order.
+ * @returns {string} CSV text with a header row and trailing newline.
+ */
+function toCsv(records, columns) {
+  const lines = [columns.map(formatCsvCell).join(',')];
+  records.forEach(record => {
+    lines.push(columns.map(column => formatCsvCell(record[column])).join(','));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  parseCsvRows,
+  parseCsv,
+  toCsv
+};
@@ -1,36 +1,46 @@
-// app.js or a relevant component file
-
-import { loadNBAData } from './dataloader.js'; // Adjust path if dataloader.js is elsewhere
-
-async function initializeApp() {
-  console.log("Loading NBA data...");
-  const nbaData = await loadNBAData();
-
-  if (nbaData.playerStats && nbaData.teamPace && nbaData.dvpData) {
-    console.log("NBA data loaded successfully!");
-
-    // Access the loaded data:
-    const players = nbaData.playerStats.nba_player_stats_2024_25.players;
-    const teamsPace = nbaData.teamPace.nba_team_pace_2024_25.teams;
-    const dvp = nbaData.dvpData.nba_dvp_2024_25; // This seems to be the top level key
-
-    // Example: Find Shai Gilgeous-Alexander's stats
-    const shaiStats = players.find(player => player.player === "Shai Gilgeous-Alexander");
-    console.log("Shai's Stats:", shaiStats);
-
-    // Example: Get Memphis Grizzlies' pace
-    const grizzliesPace = teamsPace.find(team => team.team === "MEM");
-    console.log("Grizzlies Pace:", grizzliesPace);
-
-    // Example: Get DVP for PG
-    const pgDVP = dvp.defense_vs_position.PG;
-    console.log("PG DVP:", pgDVP);
+/**
+ * @fileoverview Season data loader for the browser.
+ * Fetches a season's datasets from /api/season-data in the same shape
+ * `loadData` returns on the server ({ season, playerStats, teamPace, dvpData,
+ * validation }), so the offline client runs the projection pipeline on exactly
+ * the rows the API uses. The service worker caches the response, so a season
+ * loaded once online is still available offline.
+ */
+
+// Loaded seasons keyed by requested season ('' for the latest), so lookup indexes are built once
+const seasonCache = new Map();
+
+/**
+ * Loads one season's datasets.
+ * @param {string} [season] - Season label (e.g., "2024-25"); defaults to the latest season.
+ * @param {Object} [options] - { baseUrl (API origin, default same origin), fetch (fetch implementation) }.
+ * @returns {Promise<Object>} { season, playerStats, teamPace, dvpData, validation }.
+ * @throws {Error} If the data cannot be fetched (from the network or the service worker cache).
+ */
+async function loadSeasonData(season, { baseUrl = '', fetch: fetchImpl = globalThis.fetch } = {}) {
+  const key = season || '';
+  if (seasonCache.has(key)) {
+    return seasonCache.get(key);
+  }
 
-    // Now you can use this data in your projection calculations.
-  } else {
-    console.error("Failed to load all necessary NBA data.");
+  const query = season ? `?season=${encodeURIComponent(season)}` : '';
+  const response = await fetchImpl(`${baseUrl}/api/season-data${query}`);
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.error || `Could not load season data (HTTP ${response.status})`);
   }
+
+  const data = {
+    season: body.season,
+    playerStats: body.player_stats,
+    teamPace: body.team_pace,
+    dvpData: body.dvp_data,
+    validation: body.validation
+  };
+  seasonCache.set(key, data);
+  return data;
 }
 
-// Call the initialization function when your application starts
-initializeApp();
+module.exports = {
+  loadSeasonData
+};
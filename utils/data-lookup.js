@@ -0,0 +1,287 @@
+const { normalizeTeamAbbreviation } = require('./teams');
+const { buildNameEntries, resolvePlayerName, normalizePlayerName } = require('./player-names');
+
+/**
+ * @fileoverview Dataset lookup helpers shared by the API and the browser.
+ * Resolves players, teams and DVP rows in already-loaded season datasets.
+ * Nothing here touches the file system, so the same lookups run on the
+ * server (through `nba-data`) and in the offline client bundle.
+ *
+ * Lookups go through indexes built once per loaded dataset instead of
+ * scanning the arrays on every request.
+ */
+
+// Lookup indexes keyed by the parsed dataset object they were built from
+const datasetIndexes = new WeakMap();
+
+/**
+ * Returns the body of a dataset, i.e. the value under its season-specific
+ * top-level key (e.g. `nba_player_stats_2024_25`).
+ * @param {Object} dataset - A parsed dataset file.
+ * @returns {Object} The dataset body.
+ */
+function getDatasetBody(dataset) {
+  const key = Object.keys(dataset).find(name => name.startsWith('nba_'));
+  return dataset[key];
+}
+
+/**
+ * Builds the metadata block API responses report about the data they used.
+ * @param {Object} data - Result of `loadData`.
+ * @returns {Object} Season, a display string, and last_updated/source/dropped row count per dataset.
+ */
+function describeData(data) {
+  const datasets = {};
+  Object.keys(data.validation).forEach(kind => {
+    const { last_updated, source, rowErrors } = data.validation[kind];
+    datasets[kind] = { last_updated, source, invalid_rows: rowErrors.length };
+  });
+  return {
+    season: data.season,
+    data_source: `${data.season} NBA Season Stats`,
+    datasets
+  };
+}
+
+/**
+ * Normalizes a player name for index lookups.
+ * @param {string} name - Player name.
+ * @returns {string} Lower-cased, trimmed name.
+ */
+function normalizePlayerKey(name) {
+  return String(name).trim().toLowerCase();
+}
+
+/**
+ * Normalizes a team abbreviation for index lookups, accepting alternate
+ * abbreviations such as "PHX" and "CHA".
+ * @param {string} teamAbbr - Team abbreviation.
+ * @returns {string} Canonical abbreviation, or the upper-cased input if unknown.
+ */
+function normalizeTeamKey(teamAbbr) {
+  return normalizeTeamAbbreviation(teamAbbr) || String(teamAbbr).trim().toUpperCase();
+}
+
+/**
+ * Returns the cached index for a dataset, building it on first use.
+ * @param {Object} dataset - A parsed dataset file.
+ * @param {Function} build - Builds the index from the dataset body.
+ * @returns {Object} The index.
+ */
+function getIndex(dataset, build) {
+  let index = datasetIndexes.get(dataset);
+  if (!index) {
+    index = build(getDatasetBody(dataset));
+    datasetIndexes.set(dataset, index);
+  }
+  return index;
+}
+
+/**
+ * Returns the player index: players by lower-cased name, by team, and the
+ * normalized name entries used for fuzzy resolution.
+ * @param {Object} playerStats - The parsed player statistics object.
+ * @returns {Object} { byName: Map, byTeam: Map, nameEntries: Object[] }.
+ */
+function getPlayerIndex(playerStats) {
+  return getIndex(playerStats, body => {
+    const byName = new Map();
+    const byTeam = new Map();
+    body.players.forEach(player => {
+      const key = normalizePlayerKey(player.player);
+      if (!byName.has(key)) {
+        byName.set(key, player);
+      }
+      const team = normalizeTeamKey(player.team);
+      if (!byTeam.has(team)) {
+        byTeam.set(team, []);
+      }
+      byTeam.get(team).push(player);
+    });
+    return { byName, byTeam, nameEntries: buildNameEntries(body.players) };
+  });
+}
+
+/**
+ * Returns the team index: pace rows by canonical abbreviation plus the league average rating.
+ * @param {Object} teamPace - The parsed team pace data object.
+ * @returns {Object} { byTeam: Map, leagueAverageRating }.
+ */
+function getTeamIndex(teamPace) {
+  return getIndex(teamPace, body => {
+    const byTeam = new Map();
+    const ratings = [];
+    body.teams.forEach(team => {
+      byTeam.set(normalizeTeamKey(team.team), team);
+      // Average offensive and defensive ratings so the baseline is symmetric
+      [team.offensive_rating, team.defensive_rating].forEach(rating => {
+        if (typeof rating === 'number' && isFinite(rating) && rating > 0) {
+          ratings.push(rating);
+        }
+      });
+    });
+    return {
+      byTeam,
+      leagueAverageRating: ratings.length === 0
+        ? null
+        : ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length
+    };
+  });
+}
+
+/**
+ * Returns the DVP index: positions by canonical team plus league averages per position.
+ * @param {Object} dvpData - The parsed DVP data object.
+ * @returns {Object} { byTeam: Map, leagueAverageFanduelPointsAllowed: Object }.
+ */
+function getDvpIndex(dvpData) {
+  return getIndex(dvpData, body => {
+    const byTeam = new Map();
+    const totals = {};
+    body.teams.forEach(team => {
+      const positions = team.defense_vs_position || {};
+      byTeam.set(normalizeTeamKey(team.team), positions);
+      Object.keys(positions).forEach(position => {
+        const allowed = positions[position].fanduel_points_allowed;
+        if (typeof allowed === 'number' && allowed > 0) {
+          totals[position] = totals[position] || { sum: 0, count: 0 };
+          totals[position].sum += allowed;
+          totals[position].count++;
+        }
+      });
+    });
+    const leagueAverageFanduelPointsAllowed = {};
+    Object.keys(totals).forEach(position => {
+      leagueAverageFanduelPointsAllowed[position] = totals[position].sum / totals[position].count;
+    });
+    return { byTeam, leagueAverageFanduelPointsAllowed };
+  });
+}
+
+/**
+ * Finds player data in the loaded dataset.
+ * @param {Object} playerStats - The parsed player statistics object.
+ * @param {string} playerName - The name of the player to find.
+ * @returns {Object|undefined} The player object if found, otherwise undefined.
+ */
+function findPlayer(playerStats, playerName) {
+  return getPlayerIndex(playerStats).byName.get(normalizePlayerKey(playerName));
+}
+
+/**
+ * Resolves a player name that may be misspelled, unaccented, missing a suffix or a nickname.
+ * @param {Object} playerStats - The parsed player statistics object.
+ * @param {string} playerName - The name as supplied by the caller.
+ * @returns {Object} { player (row or null), matchType, confidence, suggestions }.
+ */
+function resolvePlayer(playerStats, playerName) {
+  return resolvePlayerName(playerName, getPlayerIndex(playerStats).nameEntries);
+}
+
+/**
+ * Ranks how a normalized name matches a search query.
+ * @param {string} query - Normalized query ('' matches everything).
+ * @param {string} name - Normalized player name.
+ * @returns {number} 0 for a name prefix, 1 for a word prefix, 2 for any other fragment, -1 for no match.
+ */
+function getSearchRank(query, name) {
+  if (query === '' || name.startsWith(query)) {
+    return 0;
+  }
+  if (name.split(' ').some(word => word.startsWith(query))) {
+    return 1;
+  }
+  return name.includes(query) ? 2 : -1;
+}
+
+/**
+ * Searches players by name prefix or fragment, optionally filtered by team and position.
+ * Names are compared in normalized form (see `normalizePlayerName`). Hits where
+ * the full name starts with the query rank first, then hits where any word of
+ * the name does, then other fragments; ties are ordered by name.
+ * @param {Object} playerStats - The parsed player statistics object.
+ * @param {Object} options - { query, team, position (any eligible position), limit }; all optional.
+ * @returns {Object[]} Matching player rows, at most `limit` of them.
+ */
+function searchPlayers(playerStats, { query = '', team, position, limit = 10 } = {}) {
+  const key = normalizePlayerName(query);
+  const teamKey = team ? normalizeTeamKey(team) : null;
+  const positionKey = position ? String(position).trim().toUpperCase() : null;
+
+  return getPlayerIndex(playerStats).nameEntries
+    .filter(entry => !teamKey || normalizeTeamKey(entry.player.team) === teamKey)
+    .filter(entry => !positionKey || entry.player.position === positionKey ||
+      (Array.isArray(entry.player.positions) && entry.player.positions.includes(positionKey)))
+    .map(entry => ({ player: entry.player, rank: getSearchRank(key, entry.key) }))
+    .filter(hit => hit.rank >= 0)
+    // Entries are already in name order and the sort is stable
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, limit)
+    .map(hit => hit.player);
+}
+
+/**
+ * Finds every player on a team.
+ * @param {Object} playerStats - The parsed player statistics object.
+ * @param {string} teamAbbr - The team abbreviation (e.g., "BOS").
+ * @returns {Object[]} The team's players (empty if none).
+ */
+function findTeamPlayers(playerStats, teamAbbr) {
+  return getPlayerIndex(playerStats).byTeam.get(normalizeTeamKey(teamAbbr)) || [];
+}
+
+/**
+ * Finds team pace data for a given team abbreviation.
+ * @param {Object} teamPace - The parsed team pace data object.
+ * @param {string} teamAbbr - The team abbreviation (e.g., "MEM").
+ * @returns {Object|undefined} The team pace object if found, otherwise undefined.
+ */
+function findTeamPace(teamPace, teamAbbr) {
+  return getTeamIndex(teamPace).byTeam.get(normalizeTeamKey(teamAbbr));
+}
+
+/**
+ * Finds Defense vs. Position (DVP) data for a specific team and position.
+ * @param {Object} dvpData - The parsed DVP data object.
+ * @param {string} teamAbbr - The team abbreviation.
+ * @param {string} position - The position (e.g., "PG", "SF").
+ * @returns {Object|null} The DVP row for the position, or null if the team or position is missing.
+ */
+function findDVP(dvpData, teamAbbr, position) {
+  const positions = getDvpIndex(dvpData).byTeam.get(normalizeTeamKey(teamAbbr));
+  return positions && positions[position] ? positions[position] : null;
+}
+
+/**
+ * Returns the league average FanDuel points allowed to a position across all teams.
+ * @param {Object} dvpData - The parsed DVP data object.
+ * @param {string} position - The player's position (e.g., "PG", "SF").
+ * @returns {number|null} The league average, or null if no team has data for the position.
+ */
+function findLeagueAverageFanduelPointsAllowed(dvpData, position) {
+  const average = getDvpIndex(dvpData).leagueAverageFanduelPointsAllowed[position];
+  return average === undefined ? null : average;
+}
+
+/**
+ * Returns the league average efficiency rating (points per 100 possessions).
+ * @param {Object} teamPace - The parsed team pace data object.
+ * @returns {number|null} The league average rating, or null if no team has ratings.
+ */
+function findLeagueAverageRating(teamPace) {
+  return getTeamIndex(teamPace).leagueAverageRating;
+}
+
+module.exports = {
+  getDatasetBody,
+  describeData,
+  normalizeTeamKey,
+  findPlayer,
+  resolvePlayer,
+  searchPlayers,
+  findTeamPlayers,
+  findTeamPace,
+  findDVP,
+  findLeagueAverageFanduelPointsAllowed,
+  findLeagueAverageRating
+};
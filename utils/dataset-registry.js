@@ -0,0 +1,382 @@
+const fs = require('fs');
+const path = require('path');
+const { DVP_POSITIONS } = require('./positions');
+
+/**
+ * @fileoverview Season dataset registry.
+ * Discovers `nba_<dataset>_<YYYY>_<YY>.json` files in the `data/` directory,
+ * validates them against the schemas declared below, and loads a season's
+ * player stats, team pace and DVP files together. Rows that fail validation
+ * are dropped from the loaded data and reported, so one bad row never takes a
+ * whole season offline.
+ */
+
+const DATASET_FILE_PATTERN = /^nba_(player_stats|team_pace|dvp)_(\d{4})_(\d{2})\.json$/;
+
+const METADATA_FIELDS = {
+  last_updated: { type: 'string' },
+  season: { type: 'string' },
+  source: { type: 'string' }
+};
+
+// Declared schema for each dataset kind. `collection` is the array of rows under
+// the top-level key; `idField` names a row in validation reports.
+const DATASET_SCHEMAS = {
+  player_stats: {
+    collection: 'players',
+    idField: 'player',
+    metadata: METADATA_FIELDS,
+    fields: {
+      player: { type: 'string' },
+      team: { type: 'string' },
+      position: { type: 'string' },
+      // Every position the player is eligible at, primary first (e.g. ["PG", "SG"])
+      positions: { type: 'array', values: DVP_POSITIONS, optional: true },
+      games: { type: 'number', min: 0 },
+      minutes_per_game: { type: 'number', min: 0, max: 48 },
+      points_per_game: { type: 'number', min: 0 },
+      rebounds_per_game: { type: 'number', min: 0 },
+      assists_per_game: { type: 'number', min: 0 },
+      steals_per_game: { type: 'number', min: 0, optional: true },
+      blocks_per_game: { type: 'number', min: 0, optional: true },
+      turnovers_per_game: { type: 'number', min: 0, optional: true },
+      field_goal_percentage: { type: 'number', min: 0, max: 1 },
+      two_point_percentage: { type: 'number', min: 0, max: 1 },
+      three_point_percentage: { type: 'number', min: 0, max: 1 },
+      free_throw_percentage: { type: 'number', min: 0, max: 1 },
+      three_point_attempt_rate: { type: 'number', min: 0, max: 1 },
+      usage_percentage: { type: 'number', min: 0, max: 100 },
+      FGA_36: { type: 'number', min: 0 },
+      FTA_36: { type: 'number', min: 0 }
+    }
+  },
+  team_pace: {
+    collection: 'teams',
+    idField: 'team',
+    metadata: {
+      ...METADATA_FIELDS,
+      league_average_pace: { type: 'number', min: 1 }
+    },
+    fields: {
+      team: { type: 'string' },
+      team_name: { type: 'string' },
+      pace: { type: 'number', min: 1 },
+      rank: { type: 'number', min: 1 },
+      offensive_rating: { type: 'number', min: 1 },
+      defensive_rating: { type: 'number', min: 1 },
+      net_rating: { type: 'number' }
+    }
+  },
+  dvp: {
+    collection: 'teams',
+    idField: 'team',
+    metadata: METADATA_FIELDS,
+    fields: {
+      team: { type: 'string' },
+      team_name: { type: 'string' },
+      defense_vs_position: { type: 'object' }
+    },
+    // Each position entry under defense_vs_position is validated separately;
+    // an invalid position entry is removed without dropping the team.
+    nested: {
+      field: 'defense_vs_position',
+      keys: DVP_POSITIONS,
+      fields: {
+        fanduel_points_allowed: { type: 'number', min: 0 },
+        rank_defense: { type: 'number', min: 1, nullable: true },
+        dvp_fga_factor: { type: 'number', min: 0.01 },
+        dvp_fta_factor: { type: 'number', min: 0.01 }
+      }
+    }
+  }
+};
+
+/**
+ * Returns the data directory used by the registry.
+ * @returns {string} Absolute path to the `data/` directory.
+ */
+function getDataDirectory() {
+  // `process.cwd()` gets the current working directory (project root).
+  return path.join(process.cwd(), 'data');
+}
+
+/**
+ * Converts a season label in any accepted form to "YYYY-YY".
+ * @param {string} season - Season label, e.g. "2024-25", "2024_25" or "202425".
+ * @returns {string|null} Normalized season label, or null if unrecognized.
+ */
+function normalizeSeason(season) {
+  const match = /^(\d{4})[-_]?(\d{2})$/.exec(String(season).trim());
+  return match ? `${match[1]}-${match[2]}` : null;
+}
+
+/**
+ * Checks one value against a field rule.
+ * @param {any} value - The value to check.
+ * @param {Object} rule - { type, min, max, values, optional, nullable }.
+ * @returns {string|null} A description of the problem, or null if valid.
+ */
+function checkField(value, rule) {
+  if (value === undefined) {
+    return rule.optional ? null : 'is missing';
+  }
+  if (value === null) {
+    return rule.nullable ? null : 'is null';
+  }
+  if (rule.type === 'number') {
+    if (typeof value !== 'number' || !isFinite(value)) {
+      return `must be a number (received ${JSON.stringify(value)})`;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return `must be at least ${rule.min} (received ${value})`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return `must be at most ${rule.max} (received ${value})`;
+    }
+    return null;
+  }
+  if (rule.type === 'string') {
+    return typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string';
+  }
+  if (rule.type === 'object') {
+    return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+  }
+  if (rule.type === 'array') {
+    if (!Array.isArray(value) || value.length === 0) {
+      return 'must be a non-empty array';
+    }
+    const invalid = rule.values ? value.filter(item => !rule.values.includes(item)) : [];
+    return invalid.length === 0 ? null : `contains unknown values ${JSON.stringify(invalid)}`;
+  }
+  return null;
+}
+
+/**
+ * Validates a parsed dataset file against its schema.
+ * Returns a cleaned copy with invalid rows (and invalid nested entries) removed.
+ *
+ * @param {string} kind - Dataset kind ("player_stats", "team_pace" or "dvp").
+ * @param {string} topLevelKey - Expected top-level key (the file name without ".json").
+ * @param {Object} json - The parsed file contents.
+ * @returns {Object} { data, errors, rowErrors } where `errors` are file-level problems
+ * (the dataset is unusable if any exist) and `rowErrors` list dropped rows/entries.
+ */
+function validateDataset(kind, topLevelKey, json) {
+  const schema = DATASET_SCHEMAS[kind];
+  const errors = [];
+  const rowErrors = [];
+
+  const body = json && json[topLevelKey];
+  if (!body || typeof body !== 'object') {
+    errors.push(`Missing top-level key "${topLevelKey}".`);
+    return { data: null, errors, rowErrors };
+  }
+
+  Object.keys(schema.metadata).forEach(field => {
+    const problem = checkField(body[field], schema.metadata[field]);
+    if (problem) {
+      errors.push(`Metadata field "${field}" ${problem}.`);
+    }
+  });
+
+  const rows = body[schema.collection];
+  if (!Array.isArray(rows)) {
+    errors.push(`"${schema.collection}" must be an array.`);
+    return { data: null, errors, rowErrors };
+  }
+
+  const validRows = [];
+  rows.forEach((row, index) => {
+    const id = row && typeof row === 'object' ? row[schema.idField] : undefined;
+    const problems = [];
+
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      problems.push({ field: null, message: 'row must be an object' });
+    } else {
+      Object.keys(schema.fields).forEach(field => {
+        const problem = checkField(row[field], schema.fields[field]);
+        if (problem) {
+          problems.push({ field, message: `${field} ${problem}` });
+        }
+      });
+    }
+
+    if (problems.length > 0) {
+      problems.forEach(problem => rowErrors.push({ index, id, ...problem }));
+      return;
+    }
+
+    if (!schema.nested) {
+      validRows.push(row);
+      return;
+    }
+
+    // Validate nested entries (e.g. DVP positions), keeping only the valid ones
+    const nestedSource = row[schema.nested.field];
+    const nestedClean = {};
+    schema.nested.keys.forEach(key => {
+      const entry = nestedSource[key];
+      const entryProblems = entry && typeof entry === 'object'
+        ? Object.keys(schema.nested.fields)
+          .map(field => {
+            const problem = checkField(entry[field], schema.nested.fields[field]);
+            return problem ? `${field} ${problem}` : null;
+          })
+          .filter(Boolean)
+        : ['entry is missing'];
+
+      if (entryProblems.length > 0) {
+        entryProblems.forEach(message => rowErrors.push({
+          index,
+          id,
+          field: `${schema.nested.field}.${key}`,
+          message: `${key}: ${message}`
+        }));
+      } else {
+        nestedClean[key] = entry;
+      }
+    });
+    validRows.push({ ...row, [schema.nested.field]: nestedClean });
+  });
+
+  return {
+    data: { [topLevelKey]: { ...body, [schema.collection]: validRows } },
+    errors,
+    rowErrors
+  };
+}
+
+/**
+ * Lists dataset files in the data directory grouped by season.
+ * @param {string} [dataDir] - Directory to scan (defaults to the project `data/` directory).
+ * @returns {Object} Map of season label to { player_stats, team_pace, dvp } file names.
+ */
+function discoverSeasonFiles(dataDir = getDataDirectory()) {
+  const seasons = {};
+  fs.readdirSync(dataDir).forEach(file => {
+    const match = DATASET_FILE_PATTERN.exec(file);
+    if (!match) {
+      return;
+    }
+    const [, kind, startYear, endYear] = match;
+    const season = `${startYear}-${endYear}`;
+    seasons[season] = seasons[season] || {};
+    seasons[season][kind] = file;
+  });
+  return seasons;
+}
+
+/**
+ * Lists seasons that have all three datasets, oldest first.
+ * @param {string} [dataDir] - Directory to scan.
+ * @returns {string[]} Season labels, e.g. ["2023-24", "2024-25"].
+ */
+function listSeasons(dataDir = getDataDirectory()) {
+  const seasons = discoverSeasonFiles(dataDir);
+  return Object.keys(seasons)
+    .filter(season => Object.keys(DATASET_SCHEMAS).every(kind => seasons[season][kind]))
+    .sort();
+}
+
+/**
+ * Returns the most recent complete season.
+ * @param {string} [dataDir] - Directory to scan.
+ * @returns {string|null} Latest season label, or null if none is complete.
+ */
+function getLatestSeason(dataDir = getDataDirectory()) {
+  const seasons = listSeasons(dataDir);
+  return seasons.length > 0 ? seasons[seasons.length - 1] : null;
+}
+
+/**
+ * Resolves a requested season to a complete season and its dataset file paths.
+ * @param {string} [season] - Season label; defaults to the latest complete season.
+ * @param {string} [dataDir] - Directory to scan.
+ * @returns {Object} { season, files } where `files` maps dataset kind to an absolute path.
+ * @throws {Error} With `statusCode` 404 and `code` SEASON_NOT_FOUND if the season is unknown or incomplete.
+ */
+function resolveSeason(season, dataDir = getDataDirectory()) {
+  const available = listSeasons(dataDir);
+  const requested = season === undefined || season === null || season === ''
+    ? getLatestSeason(dataDir)
+    : normalizeSeason(season);
+
+  if (!requested || !available.includes(requested)) {
+    const error = new Error(
+      `Season "${season === undefined ? '' : season}" is not available. Available seasons: ${available.join(', ') || 'none'}.`
+    );
+    error.statusCode = 404;
+    error.code = 'SEASON_NOT_FOUND';
+    error.field = 'season';
+    throw error;
+  }
+
+  const files = {};
+  const discovered = discoverSeasonFiles(dataDir)[requested];
+  Object.keys(DATASET_SCHEMAS).forEach(kind => {
+    files[kind] = path.join(dataDir, discovered[kind]);
+  });
+  return { season: requested, files };
+}
+
+/**
+ * Reads, parses and validates one season's datasets.
+ *
+ * @param {string} [season] - Season label; defaults to the latest complete season.
+ * @param {string} [dataDir] - Directory to read from.
+ * @returns {Object} { season, playerStats, teamPace, dvpData, validation } where
+ * `validation` maps each dataset kind to { file, last_updated, source, rowErrors }.
+ * @throws {Error} With `statusCode` 404 if the season is unknown or incomplete;
+ * without one if a file cannot be read or fails file-level validation.
+ */
+function loadSeason(season, dataDir = getDataDirectory()) {
+  const { season: requested, files } = resolveSeason(season, dataDir);
+  const loaded = {};
+  const validation = {};
+
+  Object.keys(DATASET_SCHEMAS).forEach(kind => {
+    const file = path.basename(files[kind]);
+    const json = JSON.parse(fs.readFileSync(files[kind], 'utf8'));
+    const result = validateDataset(kind, file.replace(/\.json$/, ''), json);
+
+    if (result.errors.length > 0) {
+      throw new Error(`Dataset ${file} failed validation: ${result.errors.join(' ')}`);
+    }
+    if (result.rowErrors.length > 0) {
+      console.warn(`Dataset ${file}: dropped ${result.rowErrors.length} invalid row entries.`, result.rowErrors);
+    }
+
+    const body = result.data[file.replace(/\.json$/, '')];
+    if (body.season !== requested) {
+      throw new Error(`Dataset ${file} declares season "${body.season}" but its file name is for ${requested}.`);
+    }
+    loaded[kind] = result.data;
+    validation[kind] = {
+      file,
+      last_updated: body.last_updated,
+      source: body.source,
+      rowErrors: result.rowErrors
+    };
+  });
+
+  return {
+    season: requested,
+    playerStats: loaded.player_stats,
+    teamPace: loaded.team_pace,
+    dvpData: loaded.dvp,
+    validation
+  };
+}
+
+module.exports = {
+  DATASET_SCHEMAS,
+  DVP_POSITIONS,
+  getDataDirectory,
+  normalizeSeason,
+  validateDataset,
+  discoverSeasonFiles,
+  listSeasons,
+  getLatestSeason,
+  resolveSeason,
+  loadSeason
+};
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Game environment (pace and scoring) adjustments.
+ * Combines both teams' pace into an expected game pace, derives the player's
+ * team's expected score from offensive/defensive ratings, and optionally scales
+ * to a Vegas implied team total. The combined multiplier is what the projection
+ * engine receives as `paceAdjustment`.
+ */
+
+const {
+  calculatePaceAdjustment,
+  calculateGamePace,
+  calculateExpectedTeamScore,
+  calculateImpliedTeamTotal
+} = require('./calculations');
+
+/**
+ * Parses optional Vegas lines.
+ * @param {Object} lines - Raw { gameTotal, spread } values; strings allowed, empty means not supplied.
+ * @returns {Object} { gameTotal, spread } as numbers or null.
+ * @throws {Error} If a supplied value is not a valid number or the implied total is not positive.
+ */
+function parseVegasLines(lines) {
+  const parsed = { gameTotal: null, spread: null };
+
+  if (lines.gameTotal !== undefined && lines.gameTotal !== null && lines.gameTotal !== '') {
+    parsed.gameTotal = Number(lines.gameTotal);
+    if (!isFinite(parsed.gameTotal) || parsed.gameTotal <= 0) {
+      throw new Error(`Game total must be a positive number. Received: "${lines.gameTotal}"`);
+    }
+  }
+  if (lines.spread !== undefined && lines.spread !== null && lines.spread !== '') {
+    parsed.spread = Number(lines.spread);
+    if (!isFinite(parsed.spread)) {
+      throw new Error(`Spread must be a number. Received: "${lines.spread}"`);
+    }
+  }
+  if (parsed.gameTotal !== null && calculateImpliedTeamTotal(parsed.gameTotal, parsed.spread || 0) <= 0) {
+    throw new Error('Game total and spread imply a non-positive team total.');
+  }
+
+  return parsed;
+}
+
+/**
+ * Builds the game environment for a player's team against an opponent.
+ *
+ * @param {Object} params
+ * @param {Object|undefined} params.team - Player's team pace row (may be missing).
+ * @param {Object} params.opponent - Opponent team pace row.
+ * @param {number} params.leagueAvgPace - League average pace.
+ * @param {number|null} params.leagueAvgRating - League average efficiency rating.
+ * @param {number|null} [params.gameTotal] - Vegas game total.
+ * @param {number|null} [params.spread] - Player's team spread (negative = favored).
+ * @returns {Object} Pace, expected score, implied total and the combined `paceAdjustment`,
+ * with `notes` describing any fallback used.
+ */
+function buildGameEnvironment({ team, opponent, leagueAvgPace, leagueAvgRating, gameTotal = null, spread = null }) {
+  const notes = [];
+
+  let expectedGamePace = team ? calculateGamePace(team.pace, opponent.pace, leagueAvgPace) : null;
+  if (expectedGamePace === null) {
+    notes.push('Player team pace unavailable; expected game pace uses opponent pace only.');
+    expectedGamePace = opponent.pace;
+  }
+  const paceFactor = calculatePaceAdjustment(expectedGamePace, leagueAvgPace);
+
+  const expectedTeamScore = team
+    ? calculateExpectedTeamScore(team.offensive_rating, opponent.defensive_rating, leagueAvgRating, expectedGamePace)
+    : null;
+
+  let impliedTeamTotal = null;
+  let impliedTotalFactor = 1.0;
+  if (gameTotal !== null) {
+    impliedTeamTotal = calculateImpliedTeamTotal(gameTotal, spread || 0);
+    if (expectedTeamScore !== null) {
+      impliedTotalFactor = impliedTeamTotal / expectedTeamScore;
+    } else {
+      notes.push('Team ratings unavailable; Vegas implied total was not applied.');
+    }
+  }
+
+  return {
+    teamPace: team ? team.pace : null,
+    opponentPace: opponent.pace,
+    leagueAveragePace: leagueAvgPace,
+    expectedGamePace: parseFloat(expectedGamePace.toFixed(2)),
+    paceFactor: parseFloat(paceFactor.toFixed(4)),
+    expectedTeamScore: expectedTeamScore === null ? null : parseFloat(expectedTeamScore.toFixed(1)),
+    vegas: gameTotal === null && spread === null ? null : {
+      gameTotal,
+      spread,
+      impliedTeamTotal: impliedTeamTotal === null ? null : parseFloat(impliedTeamTotal.toFixed(1))
+    },
+    impliedTotalFactor: parseFloat(impliedTotalFactor.toFixed(4)),
+    paceAdjustment: paceFactor * impliedTotalFactor,
+    notes
+  };
+}
+
+/**
+ * Splits how much the game environment moved a projection, in points.
+ * Projected points scale linearly with `paceAdjustment`, so the neutral
+ * (1.0) projection is recovered by dividing it back out.
+ * @param {number} projectedPoints - Projection made with `environment.paceAdjustment`.
+ * @param {Object} environment - Result of `buildGameEnvironment`.
+ * @returns {Object} Neutral points and the pace and implied-total contributions.
+ */
+function calculateEnvironmentContributions(projectedPoints, environment) {
+  const neutralPoints = projectedPoints / environment.paceAdjustment;
+  const paceFactor = environment.paceAdjustment / environment.impliedTotalFactor;
+  const afterPace = neutralPoints * paceFactor;
+
+  return {
+    neutralPoints: parseFloat(neutralPoints.toFixed(1)),
+    pace: parseFloat((afterPace - neutralPoints).toFixed(1)),
+    impliedTotal: parseFloat((projectedPoints - afterPace).toFixed(1))
+  };
+}
+
+module.exports = {
+  parseVegasLines,
+  buildGameEnvironment,
+  calculateEnvironmentContributions
+};
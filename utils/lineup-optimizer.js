@@ -0,0 +1,436 @@
+/**
+ * @fileoverview DFS lineup optimizer.
+ * Imports a FanDuel or DraftKings salary file, matches each player to the
+ * player dataset, projects their fantasy points for the site through
+ * `projectMatchup` against the opponent listed in the file, and finds the
+ * highest-projected lineups that fit the salary cap, the site's roster slots
+ * and the maximum number of players per team.
+ *
+ * Players marked out in the file are left out of the pool and passed to their
+ * teammates' projections as absent teammates, so their minutes and usage are
+ * redistributed.
+ *
+ * Lineups are found by depth-first search over the roster slots with branch
+ * and bound. The bound for the slots still open is the best total a relaxed
+ * lineup could reach with the salary left (players may repeat and team limits
+ * are ignored), computed once per search by dynamic programming over salary.
+ * The search keeps the top N distinct player sets, so the result is exact.
+ */
+
+const { resolvePlayer } = require('./data-lookup');
+const { normalizePlayerName } = require('./player-names');
+const { projectMatchup, createRequestError, parseList } = require('./projection-pipeline');
+const { DVP_POSITIONS } = require('./positions');
+const { parseShrinkageOption } = require('./shooting-regression');
+const { parseSalaryFile } = require('./salary-file');
+
+// Classic contest rules for each site
+const DFS_SITES = {
+  fanduel: {
+    name: 'FanDuel',
+    salaryCap: 60000,
+    slots: ['PG', 'PG', 'SG', 'SG', 'SF', 'SF', 'PF', 'PF', 'C'],
+    maxPerTeam: 4
+  },
+  draftkings: {
+    name: 'DraftKings',
+    salaryCap: 50000,
+    slots: ['PG', 'SG', 'SF', 'PF', 'C', 'G', 'F', 'UTIL'],
+    maxPerTeam: null
+  }
+};
+
+// Positions that can fill each roster slot
+const SLOT_POSITIONS = {
+  PG: ['PG'],
+  SG: ['SG'],
+  SF: ['SF'],
+  PF: ['PF'],
+  C: ['C'],
+  G: ['PG', 'SG'],
+  F: ['SF', 'PF'],
+  UTIL: DVP_POSITIONS
+};
+
+const DEFAULT_LINEUPS = 10;
+const MAX_LINEUPS = 50;
+
+// Tolerance when comparing summed fantasy points
+const EPSILON = 1e-9;
+
+/**
+ * Greatest common divisor of two non-negative integers.
+ * @param {number} a - First integer.
+ * @param {number} b - Second integer.
+ * @returns {number} The GCD.
+ */
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Parses an optional positive integer parameter.
+ * @param {any} value - Raw value.
+ * @param {string} name - Parameter name for error messages.
+ * @param {number} fallback - Value used when the parameter is absent.
+ * @param {number} max - Largest value allowed.
+ * @returns {number} The parsed value.
+ * @throws {Error} 400 if the value is not an integer between 1 and max.
+ */
+function parseCount(value, name, fallback, max) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > max) {
+    throw createRequestError(`${name} must be an integer between 1 and ${max}. Received: "${value}"`, 400, { field: name });
+  }
+  return parsed;
+}
+
+/**
+ * Matches salary file players to the dataset and projects their fantasy points.
+ * @param {Object} data - Loaded datasets ({ playerStats, teamPace, dvpData }).
+ * @param {Object[]} salaryPlayers - Players from `parseSalaryFile`.
+ * @param {Object} options - { site ('fanduel' or 'draftkings'), shrinkage }.
+ * @returns {Object} { pool[], unmatched[], skipped[], out[], warnings[] }. Pool entries are
+ * { id, name, matched_name, team, opponent, positions, salary, projected_minutes,
+ * projected_points (site fantasy points), value (points per $1,000) }.
+ */
+function buildPlayerPool(data, salaryPlayers, { site, shrinkage }) {
+  const unmatched = [];
+  const warnings = [];
+  const matched = [];
+
+  salaryPlayers.forEach(entry => {
+    const match = resolvePlayer(data.playerStats, entry.name);
+    // A fuzzy match onto another team's player is more likely a player missing from the data
+    if (!match.player || (match.matchType === 'fuzzy' && match.player.team !== entry.team)) {
+      unmatched.push({
+        row: entry.row,
+        id: entry.id,
+        name: entry.name,
+        team: entry.team,
+        suggestions: match.player ? [match.player.player] : match.suggestions.map(suggestion => suggestion.player)
+      });
+      return;
+    }
+    if (match.player.team !== entry.team) {
+      warnings.push(`${entry.name} is listed for ${entry.team} in the salary file but ${match.player.team} in the player data.`);
+    }
+    matched.push({ entry, player: match.player });
+  });
+
+  // Players ruled out free up minutes and usage for their teammates
+  const outByTeam = {};
+  matched.filter(({ entry }) => entry.out).forEach(({ player }) => {
+    outByTeam[player.team] = (outByTeam[player.team] || []).concat(player.player);
+  });
+
+  const pool = [];
+  const skipped = [];
+  matched.filter(({ entry }) => !entry.out).forEach(({ entry, player }) => {
+    try {
+      const result = projectMatchup(data, {
+        player_name: player.player,
+        opponent_team: entry.opponent,
+        usage_adjustment: 1,
+        player_position: entry.positions.join('/'),
+        scoring_system: site,
+        shrinkage,
+        teammates_out: outByTeam[player.team]
+      });
+      const points = result.fantasy.fantasyPoints;
+      pool.push({
+        id: entry.id,
+        name: entry.name,
+        matched_name: player.player,
+        team: entry.team,
+        opponent: entry.opponent,
+        positions: entry.positions,
+        salary: entry.salary,
+        projected_minutes: Number(result.teammates_out ? result.teammates_out.effectiveMinutes : result.inputs.projected_minutes),
+        projected_points: points,
+        value: parseFloat((points / entry.salary * 1000).toFixed(2))
+      });
+    } catch (error) {
+      skipped.push({ row: entry.row, id: entry.id, name: entry.name, error: error.message });
+    }
+  });
+
+  const out = matched.filter(({ entry }) => entry.out).map(({ entry }) => entry.name);
+  return { pool, unmatched, skipped, out, warnings };
+}
+
+/**
+ * Finds salary file players by ID or name.
+ * @param {Object[]} players - Salary file players (or pool entries).
+ * @param {string|string[]} value - Names or IDs, as an array or comma-separated string.
+ * @param {string} name - Parameter name for error messages ("locks", "excludes").
+ * @returns {Object[]} The players, in the order given.
+ * @throws {Error} 400 if a value matches no player.
+ */
+function findSelectedPlayers(players, value, name) {
+  return parseList(value).map((selection, index) => {
+    const key = normalizePlayerName(selection);
+    const player = players.find(entry => entry.id === selection) ||
+      players.find(entry => normalizePlayerName(entry.name) === key || (entry.matched_name && normalizePlayerName(entry.matched_name) === key));
+    if (!player) {
+      throw createRequestError(`${name} lists "${selection}", which is not in the salary file.`, 400, { field: `${name}[${index}]` });
+    }
+    return player;
+  });
+}
+
+/**
+ * Finds the highest-projected distinct lineups.
+ * @param {Object[]} pool - Pool entries ({ id, team, positions, salary, projected_points }).
+ * @param {Object} options
+ * @param {string[]} options.slots - Roster slots (keys of SLOT_POSITIONS).
+ * @param {number} options.salaryCap - Salary cap.
+ * @param {number|null} options.maxPerTeam - Most players allowed from one team (null for no limit).
+ * @param {Object[]} [options.locks] - Pool entries every lineup must include.
+ * @param {number} options.count - Number of lineups to return.
+ * @returns {Object[]} Up to `count` lineups, best first: { rank, projected_points, salary,
+ * remaining_salary, players[] } with players in slot order. Empty if no lineup fits.
+ */
+function optimizeLineups(pool, { slots, salaryCap, maxPerTeam, locks = [], count }) {
+  const candidates = pool.slice().sort((a, b) => b.projected_points - a.projected_points || a.salary - b.salary);
+  const points = candidates.map(candidate => candidate.projected_points);
+
+  // Work in units of the largest common salary step (usually $100) to keep the bound table small
+  const unit = candidates.reduce((step, candidate) => gcd(step, candidate.salary), salaryCap);
+  const salaries = candidates.map(candidate => candidate.salary / unit);
+  const capUnits = Math.floor(salaryCap / unit);
+
+  // Candidate indexes (best first) that can fill each slot
+  const eligible = slots.map(slot => candidates
+    .map((candidate, index) => index)
+    .filter(index => candidates[index].positions.some(position => SLOT_POSITIONS[slot].includes(position))));
+
+  const top = [];
+  const topKeys = new Set();
+  const threshold = () => (top.length < count ? -Infinity : top[top.length - 1].points);
+
+  const assignment = new Array(slots.length).fill(-1);
+  const used = new Array(candidates.length).fill(false);
+  const teamCounts = {};
+
+  const record = total => {
+    const key = assignment.slice().sort((a, b) => a - b).join(',');
+    if (topKeys.has(key) || total <= threshold() + EPSILON) {
+      return;
+    }
+    top.push({ key, points: total, assignment: assignment.slice() });
+    top.sort((a, b) => b.points - a.points);
+    topKeys.add(key);
+    if (top.length > count) {
+      topKeys.delete(top.pop().key);
+    }
+  };
+
+  const take = index => {
+    used[index] = true;
+    teamCounts[candidates[index].team] = (teamCounts[candidates[index].team] || 0) + 1;
+  };
+  const release = index => {
+    used[index] = false;
+    teamCounts[candidates[index].team]--;
+  };
+  const teamIsFull = index => maxPerTeam !== null && (teamCounts[candidates[index].team] || 0) >= maxPerTeam;
+
+  // Searches the slots left open after the locked players are placed
+  const search = (openSlots, remainingUnits, lockedPoints) => {
+    // bound[i][u]: best relaxed points for openSlots[i..] with u salary units
+    const bound = [];
+    bound[openSlots.length] = new Float64Array(capUnits + 1);
+    for (let i = openSlots.length - 1; i >= 0; i--) {
+      bound[i] = new Float64Array(capUnits + 1).fill(-Infinity);
+      eligible[openSlots[i]].forEach(index => {
+        for (let u = salaries[index]; u <= capUnits; u++) {
+          const value = points[index] + bound[i + 1][u - salaries[index]];
+          if (value > bound[i][u]) {
+            bound[i][u] = value;
+          }
+        }
+      });
+    }
+
+    const fill = (i, remaining, total) => {
+      if (i === openSlots.length) {
+        record(total);
+        return;
+      }
+      const slot = openSlots[i];
+      // Identical slots next to each other take players in candidate order, so each set is tried once
+      const previous = i > 0 && slots[openSlots[i - 1]] === slots[slot] ? assignment[openSlots[i - 1]] : -1;
+      for (const index of eligible[slot]) {
+        // Candidates are best first, so once even the best remaining fill falls short none can beat it
+        if (total + points[index] + bound[i + 1][remaining] <= threshold() + EPSILON) {
+          break;
+        }
+        if (index <= previous || used[index] || salaries[index] > remaining || teamIsFull(index)) {
+          continue;
+        }
+        if (total + points[index] + bound[i + 1][remaining - salaries[index]] <= threshold() + EPSILON) {
+          continue;
+        }
+        assignment[slot] = index;
+        take(index);
+        fill(i + 1, remaining - salaries[index], total + points[index]);
+        release(index);
+        assignment[slot] = -1;
+      }
+    };
+
+    fill(0, remainingUnits, lockedPoints);
+  };
+
+  // Place locked players in every way they fit, then search the remaining slots
+  const lockedIndexes = locks.map(lock => candidates.indexOf(lock));
+  const placeLocks = (k, remainingUnits, total) => {
+    if (remainingUnits < 0) {
+      return;
+    }
+    if (k === lockedIndexes.length) {
+      search(slots.map((slot, index) => index).filter(index => assignment[index] === -1), remainingUnits, total);
+      return;
+    }
+    const index = lockedIndexes[k];
+    if (teamIsFull(index)) {
+      return;
+    }
+    slots.forEach((slot, slotIndex) => {
+      // Of identical open slots, only the first needs trying
+      const firstOpen = slots.findIndex((other, otherIndex) => other === slot && assignment[otherIndex] === -1);
+      if (slotIndex !== firstOpen || !eligible[slotIndex].includes(index)) {
+        return;
+      }
+      assignment[slotIndex] = index;
+      take(index);
+      placeLocks(k + 1, remainingUnits - salaries[index], total + points[index]);
+      release(index);
+      assignment[slotIndex] = -1;
+    });
+  };
+  placeLocks(0, capUnits, 0);
+
+  return top.map((lineup, rank) => {
+    const salary = lineup.assignment.reduce((sum, index) => sum + candidates[index].salary, 0);
+    return {
+      rank: rank + 1,
+      projected_points: parseFloat(lineup.points.toFixed(2)),
+      salary,
+      remaining_salary: salaryCap - salary,
+      players: slots.map((slot, slotIndex) => {
+        const candidate = candidates[lineup.assignment[slotIndex]];
+        return {
+          slot,
+          id: candidate.id,
+          name: candidate.name,
+          team: candidate.team,
+          opponent: candidate.opponent,
+          salary: candidate.salary,
+          projected_points: candidate.projected_points
+        };
+      })
+    };
+  });
+}
+
+/**
+ * Builds the top lineups for a salary file.
+ * @param {Object} data - Loaded datasets ({ playerStats, teamPace, dvpData }).
+ * @param {Object} params - Raw parameters: csv (salary file contents), and optionally
+ * site ("fanduel" or "draftkings"; detected from the file), lineups (how many, default 10),
+ * locks and excludes (player names or salary file IDs, as an array or comma-separated),
+ * max_per_team (default 4 on FanDuel, no limit on DraftKings) and shrinkage (as for projections).
+ * @returns {Object} { site, salary_cap, slots, max_per_team, lineups[], pool[], locks, excludes,
+ * out[], unmatched[], skipped[], row_errors[], warnings[] }.
+ * @throws {Error} With a `statusCode` for an invalid salary file or parameters.
+ */
+function buildLineups(data, params) {
+  const { csv, site, lineups, locks, excludes, max_per_team, shrinkage } = params;
+
+  // Critical Validation of Parameters
+  if (!csv || typeof csv !== 'string' || csv.trim() === '') {
+    throw createRequestError('Missing or invalid csv parameter (salary file contents)', 400, { code: 'MISSING_PARAMETER', field: 'csv' });
+  }
+  const siteKey = site ? String(site).toLowerCase() : undefined;
+  if (siteKey && !DFS_SITES[siteKey]) {
+    throw createRequestError(`site must be one of ${Object.keys(DFS_SITES).join(', ')}`, 400, { field: 'site' });
+  }
+  let salaryFile;
+  try {
+    salaryFile = parseSalaryFile(csv, siteKey);
+  } catch (error) {
+    throw createRequestError(error.message, 400, { field: 'csv' });
+  }
+  const rules = DFS_SITES[salaryFile.site];
+  const count = parseCount(lineups, 'lineups', DEFAULT_LINEUPS, MAX_LINEUPS);
+  const maxPerTeam = parseCount(max_per_team, 'max_per_team', rules.maxPerTeam, rules.slots.length);
+  let shrinkagePrior;
+  try {
+    shrinkagePrior = parseShrinkageOption(shrinkage);
+  } catch (error) {
+    throw createRequestError(error.message, 400, { code: 'INVALID_SHRINKAGE', field: 'shrinkage' });
+  }
+
+  const { pool, unmatched, skipped, out, warnings } = buildPlayerPool(data, salaryFile.players, {
+    site: salaryFile.site,
+    shrinkage: shrinkagePrior
+  });
+
+  const excluded = findSelectedPlayers(salaryFile.players, excludes, 'excludes');
+  const locked = findSelectedPlayers(salaryFile.players, locks, 'locks').map((player, index) => {
+    const entry = pool.find(candidate => candidate.id === player.id);
+    if (!entry) {
+      throw createRequestError(`${player.name} has no projection and cannot be locked.`, 400, { field: `locks[${index}]` });
+    }
+    if (excluded.includes(player)) {
+      throw createRequestError(`${player.name} is both locked and excluded.`, 400, { field: `locks[${index}]` });
+    }
+    return entry;
+  }).filter((entry, index, list) => list.indexOf(entry) === index);
+  if (locked.length > rules.slots.length) {
+    throw createRequestError(`A ${rules.name} lineup has ${rules.slots.length} players; ${locked.length} were locked.`, 400, { field: 'locks' });
+  }
+
+  const excludedIds = excluded.map(player => player.id);
+  const lineupsFound = optimizeLineups(pool.filter(entry => !excludedIds.includes(entry.id)), {
+    slots: rules.slots,
+    salaryCap: rules.salaryCap,
+    maxPerTeam,
+    locks: locked,
+    count
+  });
+  if (lineupsFound.length < count) {
+    warnings.push(lineupsFound.length === 0
+      ? 'No lineup satisfies the salary cap, roster slots, team limit and locks.'
+      : `Only ${lineupsFound.length} distinct lineups satisfy the constraints.`);
+  }
+
+  return {
+    site: salaryFile.site,
+    salary_cap: rules.salaryCap,
+    slots: rules.slots,
+    max_per_team: maxPerTeam,
+    lineups: lineupsFound,
+    pool: pool.slice().sort((a, b) => b.projected_points - a.projected_points),
+    locks: locked.map(entry => entry.name),
+    excludes: excluded.map(player => player.name),
+    out,
+    unmatched,
+    skipped,
+    row_errors: salaryFile.rowErrors,
+    warnings
+  };
+}
+
+module.exports = {
+  DFS_SITES,
+  SLOT_POSITIONS,
+  buildPlayerPool,
+  optimizeLineups,
+  buildLineups
+};
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Projects one player against every opponent in the team pace file.
+ * Each opponent runs through `projectMatchup` with the same minutes, usage and
+ * position, so the only things that change between rows are the opponent's
+ * pace and its DVP row for the player's position. When no minutes are given,
+ * they are projected per opponent, so blowout risk also varies by row.
+ */
+
+const { getDatasetBody, normalizeTeamKey } = require('./data-lookup');
+const { projectMatchup, createRequestError, resolvePlayerOrThrow } = require('./projection-pipeline');
+const { getTeamName } = require('./teams');
+
+// Columns the ranking can be sorted by, and the direction each sorts by default
+const SORT_FIELDS = {
+  projected_points: 'desc',
+  fantasy_points: 'desc',
+  pace_adjustment: 'desc',
+  expected_game_pace: 'desc',
+  dvp_fga_factor: 'desc',
+  dvp_fta_factor: 'desc',
+  fanduel_points_allowed: 'desc',
+  projected_minutes: 'desc',
+  opponent: 'asc'
+};
+
+// Per-game parameters that do not carry over from one opponent to the next
+const PER_GAME_PARAMS = ['opponent_team', 'game_total', 'spread', 'simulate', 'simulations', 'seed', 'prop_line'];
+
+/**
+ * Projects a player against every opponent and ranks the results.
+ * @param {Object} data - Loaded datasets ({ playerStats, teamPace, dvpData }).
+ * @param {Object} params - Raw parameters: player_name, projected_minutes, usage_adjustment,
+ * and optionally player_position, scoring_system, scoring_rules, teammates_out, sort_by
+ * (one of SORT_FIELDS) and order ("asc" or "desc"). Game-specific parameters are ignored.
+ * @returns {Object} { player, player_match, inputs, sort, matchups[] } with matchups ranked.
+ * @throws {Error} With a `statusCode` for invalid input or an unknown player.
+ */
+function exploreMatchups(data, params) {
+  const { player_name, sort_by = 'projected_points', order } = params;
+  if (!Object.prototype.hasOwnProperty.call(SORT_FIELDS, sort_by)) {
+    throw createRequestError(`sort_by must be one of ${Object.keys(SORT_FIELDS).join(', ')}`, 400, { field: 'sort_by' });
+  }
+  const direction = order || SORT_FIELDS[sort_by];
+  if (direction !== 'asc' && direction !== 'desc') {
+    throw createRequestError('order must be "asc" or "desc"', 400, { field: 'order' });
+  }
+
+  const baseParams = { ...params };
+  PER_GAME_PARAMS.forEach(name => delete baseParams[name]);
+
+  if (!player_name || typeof player_name !== 'string' || player_name.trim() === '') {
+    throw createRequestError('Missing or invalid player_name parameter', 400, { code: 'MISSING_PARAMETER', field: 'player_name' });
+  }
+  const playerTeam = resolvePlayerOrThrow(data.playerStats, player_name, 'Player', 'player_name').player.team;
+
+  // A player never faces their own team
+  const opponents = getDatasetBody(data.teamPace).teams
+    .filter(team => normalizeTeamKey(team.team) !== normalizeTeamKey(playerTeam));
+  let player = null;
+  let playerMatch = null;
+  let inputs = null;
+  const matchups = [];
+
+  opponents.forEach(team => {
+    const result = projectMatchup(data, { ...baseParams, opponent_team: team.team });
+    ({ player, player_match: playerMatch, inputs } = result);
+
+    matchups.push({
+      opponent: result.opponent.team,
+      opponent_name: getTeamName(result.opponent.team),
+      projected_points: result.projection.projectedPoints,
+      fantasy_points: result.fantasy.fantasyPoints,
+      projected_fga: result.projection.breakdown.projectedFGA,
+      projected_fta: result.projection.breakdown.projectedFTA,
+      projected_minutes: Number(result.inputs.projected_minutes),
+      opponent_pace: result.opponent.pace,
+      expected_game_pace: result.game_environment.expectedGamePace,
+      pace_adjustment: result.game_environment.paceAdjustment,
+      dvp_fga_factor: result.dvp.dvp_fga_factor,
+      dvp_fta_factor: result.dvp.dvp_fta_factor,
+      fanduel_points_allowed: result.dvp.fanduel_points_allowed,
+      dvp_rank: result.dvp.rank_defense,
+      warnings: result.warnings
+    });
+  });
+
+  const sign = direction === 'asc' ? 1 : -1;
+  matchups.sort((a, b) => {
+    if (a[sort_by] < b[sort_by]) return -sign;
+    if (a[sort_by] > b[sort_by]) return sign;
+    // Ties fall back to opponent order so the ranking is stable
+    return a.opponent < b.opponent ? -1 : 1;
+  });
+
+  return {
+    player,
+    player_match: playerMatch,
+    inputs,
+    sort: { sort_by, order: direction },
+    matchups: matchups.map((matchup, index) => ({ rank: index + 1, ...matchup }))
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  exploreMatchups
+};
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Automatic minutes projection.
+ * Used when a request gives no projected_minutes. Starts from the player's
+ * season minutes per game, regressed toward the dataset's average for players
+ * with few games, then adjusts for blowout risk: lopsided games end with
+ * starters on the bench, so a larger expected margin (from the Vegas spread,
+ * or else the two teams' regressed net ratings) means fewer minutes.
+ *
+ * The final margin is modeled as normal around the expected margin with a
+ * standard deviation of 12 points. Season minutes already include an average
+ * share of blowouts, so only the blowout probability above that of an even
+ * game costs minutes.
+ */
+
+const { getDatasetBody } = require('./data-lookup');
+
+// Games of the dataset-average minutes blended into every player's minutes per game
+const PRIOR_GAMES = 5;
+
+// Standard deviation of NBA final margins around the expected margin
+const MARGIN_STANDARD_DEVIATION = 12;
+
+// Final margin at which starters are usually pulled
+const BLOWOUT_MARGIN = 20;
+
+// Share of the season net rating gap expected to carry into a single game; season
+// ratings overstate true strength gaps, so they are regressed toward zero
+const NET_RATING_WEIGHT = 0.6;
+
+// Share of a rotation player's minutes lost in a blowout
+const BLOWOUT_MINUTES_REDUCTION = 0.2;
+
+// Players averaging fewer minutes are not treated as losing time in blowouts
+const ROTATION_MINUTES_THRESHOLD = 24;
+
+const MAX_MINUTES = 48;
+
+// Dataset-average minutes per game, computed once per loaded player dataset
+const averageMinutesCache = new WeakMap();
+
+/**
+ * Approximates the standard normal cumulative distribution function.
+ * Uses the Abramowitz–Stegun 7.1.26 approximation of erf (error below 1.5e-7).
+ * @param {number} z - Standard score.
+ * @returns {number} P(Z ≤ z).
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Calculates the probability that a game ends as a blowout either way.
+ * @param {number} expectedMargin - Expected final margin for the player's team.
+ * @returns {number} P(|final margin| ≥ BLOWOUT_MARGIN).
+ */
+function calculateBlowoutProbability(expectedMargin) {
+  const above = 1 - normalCdf((BLOWOUT_MARGIN - expectedMargin) / MARGIN_STANDARD_DEVIATION);
+  const below = normalCdf((-BLOWOUT_MARGIN - expectedMargin) / MARGIN_STANDARD_DEVIATION);
+  return above + below;
+}
+
+/**
+ * Returns the games-weighted average minutes per game across the dataset.
+ * @param {Object} playerStats - The parsed player statistics object.
+ * @returns {number} Average minutes per game.
+ */
+function getAverageMinutes(playerStats) {
+  let average = averageMinutesCache.get(playerStats);
+  if (average === undefined) {
+    const players = getDatasetBody(playerStats).players;
+    const totalGames = players.reduce((sum, player) => sum + player.games, 0);
+    average = totalGames > 0
+      ? players.reduce((sum, player) => sum + player.minutes_per_game * player.games, 0) / totalGames
+      : 0;
+    averageMinutesCache.set(playerStats, average);
+  }
+  return average;
+}
+
+/**
+ * Estimates the expected final margin for the player's team.
+ * A supplied spread wins (negative = favored, so the margin is −spread); otherwise
+ * the regressed net rating gap is converted from per-100 possessions to the game's pace.
+ * @param {Object} options - { spread, team, opponent, pace } where team/opponent are team pace rows.
+ * @returns {Object} { expectedMargin, source } with source "spread", "net_rating" or null.
+ */
+function estimateExpectedMargin({ spread, team, opponent, pace }) {
+  if (typeof spread === 'number' && isFinite(spread)) {
+    return { expectedMargin: -spread, source: 'spread' };
+  }
+  const ratings = [team && team.net_rating, opponent && opponent.net_rating];
+  if (ratings.every(rating => typeof rating === 'number' && isFinite(rating)) && pace > 0) {
+    return { expectedMargin: NET_RATING_WEIGHT * (ratings[0] - ratings[1]) * pace / 100, source: 'net_rating' };
+  }
+  return { expectedMargin: 0, source: null };
+}
+
+/**
+ * Projects a player's minutes for a game.
+ * @param {Object} playerStats - The parsed player statistics object.
+ * @param {Object} player - Player row (minutes_per_game, games).
+ * @param {Object} context - { spread, team, opponent, pace }: Vegas spread for the
+ * player's team (optional), both teams' pace rows and the expected game pace.
+ * @returns {Object} projectedMinutes and every step of the derivation.
+ * @throws {Error} If the player row has no usable minutes or games.
+ */
+function projectMinutes(playerStats, player, context) {
+  const { minutes_per_game: minutesPerGame, games } = player;
+  if (typeof minutesPerGame !== 'number' || !isFinite(minutesPerGame) || minutesPerGame <= 0 ||
+      typeof games !== 'number' || !isFinite(games) || games <= 0) {
+    throw new Error(`Cannot project minutes for ${player.player}: missing minutes_per_game or games.`);
+  }
+
+  const averageMinutes = getAverageMinutes(playerStats);
+  const baseMinutes = (minutesPerGame * games + averageMinutes * PRIOR_GAMES) / (games + PRIOR_GAMES);
+
+  const { expectedMargin, source } = estimateExpectedMargin(context);
+  const blowoutProbability = calculateBlowoutProbability(expectedMargin);
+  const baselineBlowoutProbability = calculateBlowoutProbability(0);
+  const reduction = minutesPerGame >= ROTATION_MINUTES_THRESHOLD ? BLOWOUT_MINUTES_REDUCTION : 0;
+  const blowoutAdjustment = -(blowoutProbability - baselineBlowoutProbability) * reduction * baseMinutes;
+
+  const uncapped = baseMinutes + blowoutAdjustment;
+  const projectedMinutes = Math.min(MAX_MINUTES, Math.max(0, uncapped));
+
+  return {
+    projectedMinutes: parseFloat(projectedMinutes.toFixed(1)),
+    seasonMinutesPerGame: minutesPerGame,
+    games,
+    datasetAverageMinutes: parseFloat(averageMinutes.toFixed(1)),
+    priorGames: PRIOR_GAMES,
+    baseMinutes: parseFloat(baseMinutes.toFixed(2)),
+    expectedMargin: parseFloat(expectedMargin.toFixed(1)),
+    marginSource: source,
+    blowoutProbability: parseFloat(blowoutProbability.toFixed(4)),
+    baselineBlowoutProbability: parseFloat(baselineBlowoutProbability.toFixed(4)),
+    blowoutAdjustment: parseFloat(blowoutAdjustment.toFixed(2)),
+    capped: uncapped > MAX_MINUTES
+  };
+}
+
+module.exports = {
+  normalCdf,
+  calculateBlowoutProbability,
+  estimateExpectedMargin,
+  projectMinutes
+};
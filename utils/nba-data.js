@@ -0,0 +1,73 @@
+const fs = require('fs');
+const { resolveSeason, loadSeason } = require('./dataset-registry');
+const lookup = require('./data-lookup');
+
+/**
+ * @fileoverview NBA dataset loading and lookup helpers.
+ * Shared by every API route so each one loads a season's player stats, team
+ * pace and DVP files the same way and resolves players/teams identically.
+ *
+ * Loaded seasons are cached in memory for the life of the process (a warm
+ * serverless instance serves many requests) and reloaded when any of the
+ * season's files changes on disk. The lookups themselves live in
+ * `data-lookup` (which the browser bundle also uses) and are re-exported here.
+ */
+
+// Loaded seasons keyed by season label: { signature, data }
+const seasonCache = new Map();
+
+/**
+ * Builds a signature of a season's files that changes whenever any file is rewritten.
+ * @param {Object} files - Map of dataset kind to absolute file path.
+ * @returns {string} Signature made of each file's path, modification time and size.
+ */
+function getFileSignature(files) {
+  return Object.keys(files)
+    .map(kind => {
+      const stat = fs.statSync(files[kind]);
+      return `${files[kind]}:${stat.mtimeMs}:${stat.size}`;
+    })
+    .join('|');
+}
+
+/**
+ * Loads one season's datasets through the dataset registry, reusing the cached
+ * copy unless a file has changed since it was loaded.
+ * @param {string} [season] - Season label (e.g., "2024-25"); defaults to the latest season.
+ * @returns {Object} { season, playerStats, teamPace, dvpData, validation }.
+ * @throws {Error} With `statusCode` 404 for an unknown season; otherwise a load failure.
+ */
+function loadData(season) {
+  try {
+    const resolved = resolveSeason(season);
+    const signature = getFileSignature(resolved.files);
+    const cached = seasonCache.get(resolved.season);
+    if (cached && cached.signature === signature) {
+      return cached.data;
+    }
+
+    const data = loadSeason(resolved.season);
+    seasonCache.set(resolved.season, { signature, data });
+    return data;
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    console.error('Error loading data:', error);
+    // Re-throw a specific error for API response
+    throw new Error(`Failed to load necessary NBA data files: ${error.message}`);
+  }
+}
+
+/**
+ * Drops every cached season so the next `loadData` call reads from disk.
+ */
+function clearDataCache() {
+  seasonCache.clear();
+}
+
+module.exports = {
+  loadData,
+  clearDataCache,
+  ...lookup
+};
@@ -0,0 +1,422 @@
+/**
+ * @fileoverview OpenAPI 3.0 document for the versioned JSON API (/api/v1).
+ * The document is served from /api/v1/openapi and is also what the v1 routes
+ * validate request bodies and responses against, so the published contract and
+ * the behaviour cannot drift apart. Properties carry an `x-error-code` naming
+ * the error code reported when their value is invalid.
+ */
+
+const { MAX_PROJECTED_MINUTES, MAX_USAGE_ADJUSTMENT } = require('./calculations');
+const { ERROR_CODES } = require('./projection-pipeline');
+const { DVP_POSITIONS } = require('./positions');
+const { SCORABLE_STATS, SCORING_SYSTEMS } = require('./scoring');
+const { MAX_SIMULATIONS } = require('./simulation');
+const { SHRINKAGE_PRIORS } = require('./shooting-regression');
+const { EXPLAIN_FACTORS } = require('./projection-explain');
+const { validateSchema } = require('./schema-validator');
+
+// Codes only the v1 routes report, in addition to the pipeline's ERROR_CODES
+const API_ERROR_CODES = {
+  ...ERROR_CODES,
+  INVALID_BODY: 'The request body is not a JSON object.',
+  UNKNOWN_PARAMETER: 'The request body contains a property the API does not accept.',
+  METHOD_NOT_ALLOWED: 'The HTTP method is not supported for this path.',
+  INVALID_RESPONSE: 'The server produced a response that does not match this document.',
+  INTERNAL_ERROR: 'An unexpected server error.'
+};
+
+const nullableNumber = { type: 'number', nullable: true };
+const numberMap = { type: 'object', additionalProperties: { type: 'number' } };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+/**
+ * Builds an object schema whose listed properties are all required.
+ * @param {Object} properties - Property schemas.
+ * @param {Object} [extra] - Other schema keywords (e.g., nullable).
+ * @returns {Object} The schema.
+ */
+function requiredObject(properties, extra = {}) {
+  return { type: 'object', required: Object.keys(properties), properties, ...extra };
+}
+
+/**
+ * Builds a "low-high" sensitivity range schema.
+ * @param {number} max - Largest value allowed.
+ * @param {string} description - What the range is over.
+ * @returns {Object} The schema.
+ */
+function rangeSchema(max, description) {
+  return {
+    type: 'array',
+    description: `${description} as [low, high] with 0 < low < high ≤ ${max}.`,
+    minItems: 2,
+    maxItems: 2,
+    items: { type: 'number', minimum: 0, exclusiveMinimum: true, maximum: max },
+    'x-error-code': 'INVALID_RANGE'
+  };
+}
+
+const ProjectionRequest = {
+  type: 'object',
+  required: ['player_name', 'opponent_team'],
+  additionalProperties: false,
+  properties: {
+    season: { type: 'string', description: 'Season label, e.g. "2024-25". Defaults to the latest season.' },
+    player_name: { type: 'string', minLength: 1, description: 'Player name; accents, suffixes, nicknames and small typos are tolerated.' },
+    opponent_team: { type: 'string', minLength: 1, description: 'Opponent team abbreviation or name.' },
+    projected_minutes: {
+      type: 'number',
+      minimum: 0,
+      exclusiveMinimum: true,
+      maximum: MAX_PROJECTED_MINUTES,
+      description: 'Projected minutes. Projected from season minutes and blowout risk when omitted.',
+      'x-error-code': 'INVALID_MINUTES'
+    },
+    usage_adjustment: {
+      type: 'number',
+      minimum: 0,
+      exclusiveMinimum: true,
+      maximum: MAX_USAGE_ADJUSTMENT,
+      default: 1,
+      description: 'Multiplier on shot volume.',
+      'x-error-code': 'INVALID_USAGE'
+    },
+    player_position: {
+      type: 'string',
+      description: `One or more of ${DVP_POSITIONS.join(', ')} separated by "/", e.g. "PG/SG". Defaults to the listed position.`,
+      'x-error-code': 'INVALID_POSITION'
+    },
+    position_weights: {
+      type: 'object',
+      description: 'Share of each position in the DVP blend. Equal shares by default.',
+      additionalProperties: false,
+      properties: DVP_POSITIONS.reduce((properties, position) => {
+        properties[position] = { type: 'number', minimum: 0, exclusiveMinimum: true };
+        return properties;
+      }, {}),
+      'x-error-code': 'INVALID_POSITION'
+    },
+    scoring_system: {
+      type: 'string',
+      enum: [...Object.keys(SCORING_SYSTEMS), 'custom'],
+      default: 'fanduel',
+      'x-error-code': 'INVALID_SCORING'
+    },
+    scoring_rules: { $ref: '#/components/schemas/ScoringRules' },
+    simulate: { type: 'boolean', description: 'Adds a simulated points distribution.', 'x-error-code': 'INVALID_SIMULATION' },
+    simulations: { type: 'integer', minimum: 1, maximum: MAX_SIMULATIONS, 'x-error-code': 'INVALID_SIMULATION' },
+    seed: { type: 'integer', minimum: 0, maximum: 4294967295, 'x-error-code': 'INVALID_SIMULATION' },
+    prop_line: { type: 'number', minimum: 0, description: 'Points prop line; implies simulate.', 'x-error-code': 'INVALID_SIMULATION' },
+    game_total: { type: 'number', minimum: 0, exclusiveMinimum: true, description: 'Vegas game total.', 'x-error-code': 'INVALID_VEGAS_LINES' },
+    spread: { type: 'number', description: "Player's team spread; negative means favored.", 'x-error-code': 'INVALID_VEGAS_LINES' },
+    teammates_out: {
+      type: 'array',
+      description: 'Absent teammates whose minutes and usage are redistributed.',
+      items: { type: 'string', minLength: 1 }
+    },
+    shrinkage: {
+      type: 'string',
+      enum: [...SHRINKAGE_PRIORS, 'off'],
+      description: 'Regresses shooting percentages toward this prior by sample size.',
+      'x-error-code': 'INVALID_SHRINKAGE'
+    },
+    explain: { type: 'boolean', description: 'Adds factor attribution and sensitivity curves.' },
+    minutes_range: rangeSchema(MAX_PROJECTED_MINUTES, 'Minutes sensitivity range'),
+    usage_range: rangeSchema(MAX_USAGE_ADJUSTMENT, 'Usage sensitivity range'),
+    strict_dvp: {
+      type: 'boolean',
+      description: 'Fail with MISSING_DVP instead of using neutral factors when the opponent has no DVP row for a position.'
+    }
+  }
+};
+
+const ScoringRules = {
+  type: 'object',
+  description: 'Custom scoring rules; required when scoring_system is "custom".',
+  required: ['stats'],
+  properties: {
+    name: { type: 'string' },
+    stats: {
+      type: 'object',
+      additionalProperties: false,
+      properties: SCORABLE_STATS.reduce((properties, stat) => {
+        properties[stat] = { type: 'number' };
+        return properties;
+      }, {})
+    },
+    bonuses: numberMap
+  },
+  'x-error-code': 'INVALID_SCORING'
+};
+
+const DvpPosition = requiredObject({
+  position: { type: 'string', enum: DVP_POSITIONS },
+  weight: { type: 'number' },
+  fanduel_points_allowed: nullableNumber,
+  rank_defense: nullableNumber,
+  dvp_fga_factor: { type: 'number' },
+  dvp_fta_factor: { type: 'number' },
+  missing: { type: 'boolean' }
+});
+
+const ProjectionResponse = requiredObject({
+  success: { type: 'boolean', enum: [true] },
+  player: requiredObject({
+    name: { type: 'string' },
+    team: { type: 'string' },
+    position: { type: 'string' },
+    season_avg_ppg: nullableNumber
+  }),
+  player_match: requiredObject({
+    query: { type: 'string' },
+    matched: { type: 'string' },
+    match_type: { type: 'string' },
+    confidence: { type: 'number' }
+  }),
+  opponent: requiredObject({
+    team: { type: 'string' },
+    pace: { type: 'number' },
+    pace_rank: { type: 'integer', nullable: true }
+  }),
+  dvp: requiredObject({
+    position: { type: 'string' },
+    fanduel_points_allowed: nullableNumber,
+    rank_defense: nullableNumber,
+    dvp_fga_factor: { type: 'number' },
+    dvp_fta_factor: { type: 'number' },
+    positions: { type: 'array', items: { $ref: '#/components/schemas/DvpPosition' } }
+  }),
+  inputs: requiredObject({
+    projected_minutes: { type: 'number' },
+    minutes_source: { type: 'string', enum: ['input', 'model'] },
+    usage_adjustment: { type: 'number' },
+    position_used: { type: 'string' },
+    position_weights: numberMap
+  }),
+  projection: requiredObject({
+    projectedPoints: { type: 'number' },
+    breakdown: numberMap,
+    attempts: numberMap
+  }),
+  minutes_projection: {
+    type: 'object',
+    nullable: true,
+    description: 'How minutes were projected; null when projected_minutes was given.',
+    required: ['projectedMinutes', 'baseMinutes', 'blowoutProbability', 'blowoutAdjustment'],
+    properties: {
+      projectedMinutes: { type: 'number' },
+      baseMinutes: { type: 'number' },
+      expectedMargin: nullableNumber,
+      marginSource: { type: 'string', nullable: true },
+      blowoutProbability: { type: 'number' },
+      blowoutAdjustment: { type: 'number' }
+    }
+  },
+  teammates_out: {
+    type: 'object',
+    nullable: true,
+    description: 'Minutes and usage derived from absent teammates; null when none are given.',
+    required: ['teammates', 'effectiveMinutes', 'effectiveUsage'],
+    properties: {
+      teammates: { type: 'array', items: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } } },
+      effectiveMinutes: { type: 'number' },
+      effectiveUsage: { type: 'number' }
+    }
+  },
+  shooting_regression: {
+    type: 'object',
+    nullable: true,
+    description: 'Raw and regressed shooting percentages; null without shrinkage.',
+    required: ['prior', 'stats'],
+    properties: {
+      prior: { type: 'string', enum: SHRINKAGE_PRIORS },
+      stats: { type: 'object' }
+    }
+  },
+  game_environment: {
+    type: 'object',
+    required: ['expectedGamePace', 'expectedTeamScore', 'vegas', 'impliedTotalFactor', 'paceAdjustment', 'notes', 'contributions'],
+    properties: {
+      expectedGamePace: nullableNumber,
+      expectedTeamScore: nullableNumber,
+      vegas: { type: 'object', nullable: true },
+      impliedTotalFactor: { type: 'number' },
+      paceAdjustment: { type: 'number' },
+      notes: stringList,
+      contributions: numberMap
+    }
+  },
+  stat_line: {
+    type: 'object',
+    required: ['points', 'unavailable_stats'],
+    properties: {
+      points: { type: 'number' },
+      opponent_stat_factor: { type: 'number' },
+      unavailable_stats: stringList
+    },
+    additionalProperties: nullableNumber
+  },
+  fantasy: requiredObject({
+    system: { type: 'string' },
+    fantasyPoints: { type: 'number' },
+    breakdown: numberMap,
+    bonuses: numberMap,
+    missingStats: stringList
+  }),
+  warnings: { type: 'array', items: { $ref: '#/components/schemas/Warning' } },
+  metadata: requiredObject({
+    api_version: { type: 'string', enum: ['1'] },
+    calculation_date: { type: 'string' },
+    season: { type: 'string' },
+    data_source: { type: 'string' },
+    datasets: { type: 'object' }
+  })
+});
+ProjectionResponse.properties.distribution = {
+  type: 'object',
+  description: 'Simulated points distribution; present when simulating.',
+  required: ['simulations', 'seed', 'mean', 'stdDev', 'percentiles'],
+  properties: {
+    simulations: { type: 'integer' },
+    seed: { type: 'integer' },
+    mean: { type: 'number' },
+    stdDev: { type: 'number' },
+    percentiles: numberMap,
+    propLine: { type: 'number' },
+    probOver: { type: 'number' },
+    probUnder: { type: 'number' },
+    probPush: { type: 'number' }
+  }
+};
+ProjectionResponse.properties.explanation = {
+  type: 'object',
+  description: 'Factor attribution and sensitivity curves; present when explain is true.',
+  required: ['baseline_points', 'projected_points', 'attribution', 'sensitivity'],
+  properties: {
+    baseline_points: { type: 'number' },
+    projected_points: { type: 'number' },
+    attribution: {
+      type: 'array',
+      items: requiredObject({
+        factor: { type: 'string', enum: EXPLAIN_FACTORS.map(factor => factor.key) },
+        label: { type: 'string' },
+        baseline_value: nullableNumber,
+        value: nullableNumber,
+        points: { type: 'number' }
+      })
+    },
+    sensitivity: requiredObject({
+      minutes: { type: 'array', items: requiredObject({ minutes: { type: 'number' }, projected_points: { type: 'number' } }) },
+      usage: { type: 'array', items: requiredObject({ usage: { type: 'number' }, projected_points: { type: 'number' } }) }
+    })
+  }
+};
+
+const Warning = requiredObject({
+  code: { type: 'string', enum: ['MISSING_DVP'] },
+  message: { type: 'string' },
+  field: { type: 'string', nullable: true }
+});
+
+const ApiError = {
+  type: 'object',
+  required: ['code', 'message', 'field'],
+  properties: {
+    code: { type: 'string', enum: Object.keys(API_ERROR_CODES) },
+    message: { type: 'string' },
+    field: { type: 'string', nullable: true, description: 'Path of the offending parameter, e.g. "teammates_out[1]".' },
+    details: { type: 'object', description: 'Extra context, e.g. { suggestions } for unknown players.' }
+  }
+};
+
+const ErrorResponse = requiredObject({
+  success: { type: 'boolean', enum: [false] },
+  error: { $ref: '#/components/schemas/ApiError' },
+  errors: {
+    type: 'array',
+    description: 'Every problem found; more than one only when request validation fails on several fields.',
+    items: { $ref: '#/components/schemas/ApiError' }
+  }
+});
+
+/**
+ * Describes an error response.
+ * @param {string} description - When the response is returned.
+ * @returns {Object} OpenAPI response object.
+ */
+function errorResponse(description) {
+  return {
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+  };
+}
+
+const OPENAPI_DOCUMENT = {
+  openapi: '3.0.3',
+  info: {
+    title: 'NBA Player Projections API',
+    version: '1.0.0',
+    description: 'Projected points, stat lines and fantasy points for one player against one opponent. ' +
+      'Error responses carry a machine-readable code and the path of the offending field:\n\n' +
+      Object.keys(API_ERROR_CODES).map(code => `- \`${code}\`: ${API_ERROR_CODES[code]}`).join('\n')
+  },
+  paths: {
+    '/api/v1/projections': {
+      post: {
+        operationId: 'createProjection',
+        summary: 'Project one player against one opponent',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ProjectionRequest' } } }
+        },
+        responses: {
+          200: {
+            description: 'The projection.',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/ProjectionResponse' } } }
+          },
+          400: errorResponse('The request body is invalid.'),
+          404: errorResponse('The player, team or season was not found.'),
+          405: errorResponse('The method is not POST.'),
+          422: errorResponse('The player or opponent data cannot support the projection (INCOMPLETE_PLAYER_DATA, INVALID_TEAMMATE, MISSING_DVP).'),
+          500: errorResponse('Unexpected server error.')
+        }
+      }
+    },
+    '/api/v1/openapi': {
+      get: {
+        operationId: 'getOpenApiDocument',
+        summary: 'This document',
+        responses: {
+          200: { description: 'The OpenAPI document.', content: { 'application/json': { schema: { type: 'object' } } } }
+        }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      ProjectionRequest,
+      ScoringRules,
+      ProjectionResponse,
+      DvpPosition,
+      Warning,
+      ApiError,
+      ErrorResponse
+    }
+  }
+};
+
+/**
+ * Validates a value against one of the document's schemas.
+ * @param {string} schemaName - Name under components.schemas (e.g., "ProjectionRequest").
+ * @param {any} value - The value to validate.
+ * @returns {Object[]} Problems as { code, message, field }; empty if the value is valid.
+ */
+function validateAgainstSchema(schemaName, value) {
+  return validateSchema(OPENAPI_DOCUMENT, schemaName, value);
+}
+
+module.exports = {
+  API_ERROR_CODES,
+  OPENAPI_DOCUMENT,
+  validateAgainstSchema
+};
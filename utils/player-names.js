@@ -0,0 +1,293 @@
+/**
+ * @fileoverview Player name normalization and fuzzy resolution.
+ * Names are compared after stripping accents, punctuation and generational
+ * suffixes, so "Luka Dončić", "luka doncic" and "Jaren Jackson" all resolve.
+ * Nicknames go through an alias table; anything else is ranked by edit
+ * distance. Ties are broken by name so the same query always gives the same
+ * answer.
+ */
+
+// Generational suffixes ignored when comparing names
+const NAME_SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'v']);
+
+// Letters that Unicode normalization does not decompose into a base letter
+const SPECIAL_LETTERS = {
+  'ı': 'i', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'ß': 'ss', 'æ': 'ae', 'œ': 'oe',
+  'Ø': 'O', 'Ł': 'L', 'Đ': 'D', 'Ð': 'D', 'Æ': 'Ae', 'Œ': 'Oe'
+};
+
+// Nicknames and alternate names, keyed by normalized alias, mapped to the dataset name
+const PLAYER_ALIASES = {
+  'sga': 'Shai Gilgeous-Alexander',
+  'shai': 'Shai Gilgeous-Alexander',
+  'ant': 'Anthony Edwards',
+  'ant man': 'Anthony Edwards',
+  'joker': 'Nikola Jokic',
+  'giannis': 'Giannis Antetokounmpo',
+  'greek freak': 'Giannis Antetokounmpo',
+  'luka': 'Luka Doncic',
+  'steph': 'Stephen Curry',
+  'steph curry': 'Stephen Curry',
+  'lebron': 'LeBron James',
+  'king james': 'LeBron James',
+  'kd': 'Kevin Durant',
+  'jjj': 'Jaren Jackson Jr.',
+  'kat': 'Karl-Anthony Towns',
+  'ad': 'Anthony Davis',
+  'the brow': 'Anthony Davis',
+  'cp3': 'Chris Paul',
+  'wemby': 'Victor Wembanyama',
+  'mpj': 'Michael Porter Jr.',
+  'dame': 'Damian Lillard',
+  'spida': 'Donovan Mitchell',
+  'hali': 'Tyrese Haliburton',
+  'jimmy buckets': 'Jimmy Butler',
+  'pg13': 'Paul George',
+  'the klaw': 'Kawhi Leonard',
+  'dray': 'Draymond Green',
+  'nicolas claxton': 'Nic Claxton',
+  'cam johnson': 'Cameron Johnson',
+  'kz': 'Kristaps Porzingis',
+  'zinger': 'Kristaps Porzingis',
+  'big v': 'Jonas Valanciunas'
+};
+
+// Lowest confidence accepted as a match without asking the caller to choose
+const MATCH_THRESHOLD = 0.85;
+
+// How far ahead of the runner-up a fuzzy match must be to count as unambiguous
+const AMBIGUITY_MARGIN = 0.05;
+
+// Lowest confidence reported as a suggestion
+const SUGGESTION_THRESHOLD = 0.5;
+
+// Number of suggestions returned for an unresolved name
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Folds a name to plain ASCII letters, keeping case and punctuation.
+ * @param {string} name - Player name (e.g., "Luka Dončić").
+ * @returns {string} The name without accents (e.g., "Luka Doncic"), the form the datasets use.
+ */
+function foldAccents(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[ıøłđðßæœØŁĐÐÆŒ]/g, letter => SPECIAL_LETTERS[letter]);
+}
+
+/**
+ * Normalizes a player name for comparison: removes accents, punctuation and
+ * generational suffixes, lower-cases and collapses whitespace.
+ * @param {string} name - Player name (e.g., "Jaren Jackson Jr.", "Luka Dončić").
+ * @returns {string} Normalized name (e.g., "jaren jackson", "luka doncic").
+ */
+function normalizePlayerName(name) {
+  if (typeof name !== 'string') {
+    return '';
+  }
+  const tokens = foldAccents(name)
+    .toLowerCase()
+    // Drop apostrophes and periods inside names ("De'Aaron", "P.J.") rather than splitting on them
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(token => token !== '');
+
+  // Only trailing words are suffixes ("V" alone or "Jr Smith" is left alone)
+  while (tokens.length > 1 && NAME_SUFFIXES.has(tokens[tokens.length - 1])) {
+    tokens.pop();
+  }
+  return tokens.join(' ');
+}
+
+/**
+ * Calculates the edit distance between two strings (optimal string alignment:
+ * Levenshtein plus transposition of adjacent letters, the most common typo).
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {number} Minimum number of single-character insertions, deletions,
+ * substitutions or adjacent swaps.
+ */
+function editDistance(a, b) {
+  const rows = [Array.from({ length: b.length + 1 }, (_, index) => index)];
+  for (let i = 1; i <= a.length; i++) {
+    rows.push([i]);
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, rows[i - 2][j - 2] + 1);
+      }
+      rows[i].push(distance);
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Converts the edit distance between two strings into a 0–1 similarity.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {number} 1 for identical strings, falling towards 0 as they differ.
+ */
+function stringSimilarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  return length === 0 ? 1 : 1 - editDistance(a, b) / length;
+}
+
+/**
+ * Scores how well a normalized query matches a normalized player name.
+ * The whole name is compared, and so is each query word against the name's
+ * words, so "jokic" or "curry stephen" still score well. Matching only some of
+ * the name's words is discounted.
+ * @param {string} query - Normalized query.
+ * @param {string} name - Normalized player name.
+ * @returns {number} Confidence between 0 and 1.
+ */
+function scoreNameMatch(query, name) {
+  if (query === name) {
+    return 1;
+  }
+  const fullScore = stringSimilarity(query, name);
+
+  const queryTokens = query.split(' ');
+  const nameTokens = name.split(' ');
+  const tokenScores = queryTokens.map(queryToken => Math.max(...nameTokens.map(nameToken => {
+    if (queryToken === nameToken) {
+      return 1;
+    }
+    if (queryToken.length >= 3 && nameToken.startsWith(queryToken)) {
+      return 0.9;
+    }
+    return stringSimilarity(queryToken, nameToken);
+  })));
+  const coverage = queryTokens.length < nameTokens.length ? 0.9 : 1;
+  const tokenScore = coverage * tokenScores.reduce((sum, score) => sum + score, 0) / tokenScores.length;
+
+  return Math.max(fullScore, tokenScore);
+}
+
+/**
+ * Builds the searchable entries for a list of players.
+ * @param {Object[]} players - Player rows (player).
+ * @returns {Object[]} Entries of { player, key } sorted by player name.
+ */
+function buildNameEntries(players) {
+  return players
+    .map(player => ({ player, key: normalizePlayerName(player.player) }))
+    .sort((a, b) => (a.player.player < b.player.player ? -1 : a.player.player > b.player.player ? 1 : 0));
+}
+
+/**
+ * Formats a scored entry as a suggestion.
+ * @param {Object} candidate - { entry, confidence }.
+ * @returns {Object} { player, team, position, confidence }.
+ */
+function toSuggestion(candidate) {
+  return {
+    player: candidate.entry.player.player,
+    team: candidate.entry.player.team,
+    position: candidate.entry.player.position,
+    confidence: parseFloat(candidate.confidence.toFixed(3))
+  };
+}
+
+/**
+ * Resolves a player name against the dataset.
+ * Exact normalized matches win, then the alias table (for aliases whose player
+ * is in the entries), then the closest name by edit distance if it is confident
+ * and clearly ahead of the next candidate.
+ * @param {string} query - Player name as supplied by the caller.
+ * @param {Object[]} entries - Entries from `buildNameEntries`.
+ * @returns {Object} { player (row or null), matchType ('exact' | 'normalized' |
+ * 'alias' | 'fuzzy' | 'ambiguous' | 'not_found'), confidence, suggestions }.
+ */
+function resolvePlayerName(query, entries) {
+  const key = normalizePlayerName(query);
+  if (key === '') {
+    return { player: null, matchType: 'not_found', confidence: 0, suggestions: [] };
+  }
+
+  const exactMatches = entries.filter(entry => entry.key === key);
+  if (exactMatches.length === 1) {
+    const isExact = exactMatches[0].player.player.toLowerCase() === String(query).trim().toLowerCase();
+    return {
+      player: exactMatches[0].player,
+      matchType: isExact ? 'exact' : 'normalized',
+      confidence: 1,
+      suggestions: []
+    };
+  }
+  if (exactMatches.length > 1) {
+    return {
+      player: null,
+      matchType: 'ambiguous',
+      confidence: 1,
+      suggestions: exactMatches.map(entry => toSuggestion({ entry, confidence: 1 }))
+    };
+  }
+
+  // An alias whose player is not in these entries (e.g., a season they did not
+  // play) is ignored, and the query is fuzzy-matched like any other name
+  const alias = PLAYER_ALIASES[key];
+  if (alias) {
+    const aliasKey = normalizePlayerName(alias);
+    const aliasMatch = entries.find(entry => entry.key === aliasKey);
+    if (aliasMatch) {
+      return { player: aliasMatch.player, matchType: 'alias', confidence: 1, suggestions: [] };
+    }
+  }
+
+  // Entries are pre-sorted by name, and the sort is stable, so equal scores keep name order
+  const ranked = entries
+    .map(entry => ({ entry, confidence: scoreNameMatch(key, entry.key) }))
+    .sort((a, b) => b.confidence - a.confidence);
+  const [best, runnerUp] = ranked;
+
+  if (best && best.confidence >= MATCH_THRESHOLD &&
+      (!runnerUp || best.confidence - runnerUp.confidence >= AMBIGUITY_MARGIN)) {
+    return {
+      player: best.entry.player,
+      matchType: 'fuzzy',
+      confidence: parseFloat(best.confidence.toFixed(3)),
+      suggestions: []
+    };
+  }
+
+  const suggestions = ranked
+    .filter(candidate => candidate.confidence >= SUGGESTION_THRESHOLD)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(toSuggestion);
+  return {
+    player: null,
+    matchType: best && best.confidence >= MATCH_THRESHOLD ? 'ambiguous' : 'not_found',
+    confidence: best ? parseFloat(best.confidence.toFixed(3)) : 0,
+    suggestions
+  };
+}
+
+/**
+ * Lists the aliases whose player is missing from a dataset, and so never resolve against it.
+ * @param {Object[]} players - Player rows (player).
+ * @returns {Object[]} { alias, player } pairs, in alias table order.
+ */
+function findUnresolvedAliases(players) {
+  const keys = new Set(players.map(player => normalizePlayerName(player.player)));
+  return Object.keys(PLAYER_ALIASES)
+    .filter(alias => !keys.has(normalizePlayerName(PLAYER_ALIASES[alias])))
+    .map(alias => ({ alias, player: PLAYER_ALIASES[alias] }));
+}
+
+module.exports = {
+  PLAYER_ALIASES,
+  MATCH_THRESHOLD,
+  foldAccents,
+  normalizePlayerName,
+  editDistance,
+  scoreNameMatch,
+  buildNameEntries,
+  findUnresolvedAliases,
+  resolvePlayerName
+};
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Position eligibility and blended DVP factors.
+ * A player may be eligible at several positions (e.g. PG/SG). Their DVP
+ * factors are the weighted average of the opponent's DVP rows for each
+ * eligible position. Weights default to equal shares and can be set per
+ * request. A position with no DVP row contributes neutral factors (1.0 and
+ * league-average points allowed) and is reported as a warning.
+ */
+
+const { findDVP, findLeagueAverageFanduelPointsAllowed } = require('./data-lookup');
+
+// Positions the DVP data is broken down by
+const DVP_POSITIONS = ['PG', 'SG', 'SF', 'PF', 'C'];
+
+/**
+ * Splits a position listing such as "PG/SG", "SG-SF" or ["PF", "C"] into positions.
+ * @param {string|string[]} value - Position listing.
+ * @returns {string[]} Upper-cased, de-duplicated positions in listed order.
+ */
+function splitPositions(value) {
+  const parts = Array.isArray(value) ? value : String(value || '').split(/[/,\-\s]+/);
+  return parts
+    .map(part => String(part).trim().toUpperCase())
+    .filter((part, index, list) => part !== '' && list.indexOf(part) === index);
+}
+
+/**
+ * Returns the positions a player is eligible at, primary position first.
+ * Uses the optional `positions` array from the player data, falling back to `position`.
+ * @param {Object} player - Player row (position, positions).
+ * @returns {string[]} Eligible positions (empty if the row has none).
+ */
+function getPlayerPositions(player) {
+  if (Array.isArray(player.positions) && player.positions.length > 0) {
+    return splitPositions(player.positions);
+  }
+  return splitPositions(player.position);
+}
+
+/**
+ * Parses and validates a position override supplied by the caller.
+ * @param {string|string[]} value - Position listing (e.g., "PG/SG").
+ * @returns {string[]} Valid positions.
+ * @throws {Error} If a position is not one of the DVP positions.
+ */
+function parsePositionOverride(value) {
+  const positions = splitPositions(value);
+  positions.forEach(position => {
+    if (!DVP_POSITIONS.includes(position)) {
+      throw new Error(`Unknown position "${position}". Use one of ${DVP_POSITIONS.join(', ')}, e.g. "PG/SG".`);
+    }
+  });
+  return positions;
+}
+
+/**
+ * Parses position weights given as an object ({ "PG": 0.7, "SG": 0.3 }), a JSON
+ * string of one, or a "PG:0.7,SG:0.3" string.
+ * @param {Object|string} value - The raw weights.
+ * @returns {Object} Weights keyed by upper-cased position.
+ * @throws {Error} If the weights cannot be parsed, a key is not exactly one position,
+ * or a weight is not a positive number.
+ */
+function parsePositionWeights(value) {
+  let raw = value;
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (text.startsWith('{')) {
+      try {
+        raw = JSON.parse(text);
+      } catch (error) {
+        throw new Error(`position_weights is not valid JSON: ${error.message}`);
+      }
+    } else {
+      raw = {};
+      text.split(',').forEach(pair => {
+        const [position, weight] = pair.split(':');
+        raw[String(position).trim()] = weight === undefined ? NaN : Number(weight);
+      });
+    }
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('position_weights must be an object or a "PG:0.7,SG:0.3" string.');
+  }
+
+  const weights = {};
+  Object.keys(raw).forEach(key => {
+    const keyPositions = splitPositions(key);
+    if (keyPositions.length !== 1 || !DVP_POSITIONS.includes(keyPositions[0])) {
+      throw new Error(`position_weights.${key} must name a single position, one of ${DVP_POSITIONS.join(', ')}.`);
+    }
+    const position = keyPositions[0];
+    const weight = typeof raw[key] === 'string' ? Number(raw[key]) : raw[key];
+    if (typeof weight !== 'number' || !isFinite(weight) || weight <= 0) {
+      throw new Error(`position_weights.${key} must be a positive number.`);
+    }
+    weights[position] = weight;
+  });
+  return weights;
+}
+
+/**
+ * Decides which positions a projection uses and how much weight each gets.
+ * An explicit position override wins over the player data; explicit weights
+ * may also name the positions on their own. Weights are normalized to sum to 1.
+ * @param {Object} player - Player row (position, positions).
+ * @param {string|string[]} [positionOverride] - Caller's position listing.
+ * @param {Object|string} [positionWeights] - Caller's weights.
+ * @returns {Object[]} [{ position, weight }] in listed order.
+ * @throws {Error} If the positions or weights are invalid or inconsistent.
+ */
+function resolvePositionWeights(player, positionOverride, positionWeights) {
+  const hasOverride = positionOverride !== undefined && positionOverride !== null && splitPositions(positionOverride).length > 0;
+  const hasWeights = positionWeights !== undefined && positionWeights !== null && positionWeights !== '';
+  const weights = hasWeights ? parsePositionWeights(positionWeights) : null;
+
+  let positions;
+  if (hasOverride) {
+    positions = parsePositionOverride(positionOverride);
+  } else if (weights) {
+    positions = Object.keys(weights);
+  } else {
+    positions = getPlayerPositions(player);
+  }
+  if (positions.length === 0) {
+    throw new Error('Could not determine player position for DVP calculation.');
+  }
+
+  if (weights) {
+    const unknown = Object.keys(weights).filter(position => !positions.includes(position));
+    if (unknown.length > 0) {
+      throw new Error(`position_weights lists ${unknown.join(', ')}, which ${unknown.length === 1 ? 'is' : 'are'} not among the positions used (${positions.join('/')}).`);
+    }
+  }
+
+  const rawWeights = positions.map(position => (weights ? weights[position] || 0 : 1));
+  const total = rawWeights.reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) {
+    throw new Error('position_weights must give at least one position a positive weight.');
+  }
+  return positions
+    .map((position, index) => ({ position, weight: rawWeights[index] / total }))
+    .filter(entry => entry.weight > 0);
+}
+
+/**
+ * Blends an opponent's DVP rows across weighted positions.
+ * @param {Object} dvpData - The parsed DVP data object.
+ * @param {string} teamAbbr - The opponent's abbreviation.
+ * @param {Object[]} weightedPositions - [{ position, weight }] from `resolvePositionWeights`.
+ * @returns {Object} Blended fanduel_points_allowed, league_average_fanduel_points_allowed,
+ * rank_defense (weighted average; null if any row is missing), dvp_fga_factor and
+ * dvp_fta_factor, plus a per-position breakdown and warnings for missing rows.
+ */
+function blendDvpFactors(dvpData, teamAbbr, weightedPositions) {
+  const warnings = [];
+  const positions = weightedPositions.map(({ position, weight }) => {
+    const row = findDVP(dvpData, teamAbbr, position);
+    const leagueAverage = findLeagueAverageFanduelPointsAllowed(dvpData, position);
+    if (!row) {
+      warnings.push(`DVP data not found for ${teamAbbr} at ${position}; neutral factors (1.0) were used for that position.`);
+    }
+    return {
+      position,
+      weight,
+      missing: !row,
+      // A missing row is neutral: average points allowed and 1.0 attempt factors
+      fanduel_points_allowed: row ? row.fanduel_points_allowed : leagueAverage,
+      league_average_fanduel_points_allowed: leagueAverage,
+      rank_defense: row ? row.rank_defense : null,
+      dvp_fga_factor: row ? row.dvp_fga_factor : 1.0,
+      dvp_fta_factor: row ? row.dvp_fta_factor : 1.0
+    };
+  });
+
+  const weighted = field => {
+    if (positions.some(entry => typeof entry[field] !== 'number')) {
+      return null;
+    }
+    return positions.reduce((sum, entry) => sum + entry.weight * entry[field], 0);
+  };
+
+  return {
+    position: positions.map(entry => entry.position).join('/'),
+    positions,
+    fanduel_points_allowed: weighted('fanduel_points_allowed'),
+    league_average_fanduel_points_allowed: weighted('league_average_fanduel_points_allowed'),
+    rank_defense: weighted('rank_defense'),
+    dvp_fga_factor: weighted('dvp_fga_factor'),
+    dvp_fta_factor: weighted('dvp_fta_factor'),
+    warnings
+  };
+}
+
+module.exports = {
+  DVP_POSITIONS,
+  splitPositions,
+  getPlayerPositions,
+  parsePositionOverride,
+  parsePositionWeights,
+  resolvePositionWeights,
+  blendDvpFactors
+};
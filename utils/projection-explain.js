@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Projection explanations: factor attribution and sensitivity curves.
+ * Projected points multiply minutes, usage, pace and the DVP attempt factors
+ * together, so there is no single order in which to "apply" them. Each factor's
+ * contribution is its Shapley value: its average effect on projected points
+ * when switched from the baseline to the game value, over every order in which
+ * the factors could be switched. The contributions add up exactly to
+ * (projected − baseline) points.
+ *
+ * The baseline is the player's season average: season minutes per game, 1.0
+ * usage, pace, implied total and DVP factors, and raw shooting percentages.
+ */
+
+const { projectScoring } = require('./calculations');
+
+// Factors attributed, in display order
+const EXPLAIN_FACTORS = [
+  { key: 'minutes', label: 'Minutes' },
+  { key: 'usage', label: 'Usage' },
+  { key: 'pace', label: 'Pace' },
+  { key: 'implied_total', label: 'Vegas Implied Total' },
+  { key: 'dvp_fga', label: 'DVP FGA' },
+  { key: 'dvp_fta', label: 'DVP FTA' },
+  { key: 'shooting', label: 'Shooting Regression' }
+];
+
+// Points on each sensitivity curve
+const SENSITIVITY_POINTS = 11;
+
+// Default sensitivity ranges around the values used
+const DEFAULT_MINUTES_SPREAD = 8;
+const DEFAULT_USAGE_RANGE = [0.8, 1.3];
+
+/**
+ * Parses a sensitivity range given as "low-high" or [low, high].
+ * @param {string|number[]|undefined} value - The raw range.
+ * @param {string} name - Parameter name for error messages.
+ * @param {number} max - Largest value allowed.
+ * @returns {number[]|null} [low, high], or null when no range is given.
+ * @throws {Error} If the range is malformed or out of bounds.
+ */
+function parseRange(value, name, max) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const parts = Array.isArray(value) ? value : String(value).split('-');
+  const [low, high] = parts.map(Number);
+  if (parts.length !== 2 || !isFinite(low) || !isFinite(high) || low <= 0 || high <= low || high > max) {
+    throw new Error(`${name} must be "low-high" with 0 < low < high ≤ ${max}.`);
+  }
+  return [low, high];
+}
+
+/**
+ * Parses the optional sensitivity range parameters.
+ * @param {Object} params - Raw { minutes_range, usage_range } ("low-high").
+ * @returns {Object} { minutes, usage } as [low, high] or null for the default range.
+ * @throws {Error} If a range is malformed or out of bounds.
+ */
+function parseSensitivityRanges({ minutes_range, usage_range }) {
+  return {
+    minutes: parseRange(minutes_range, 'minutes_range', 48),
+    usage: parseRange(usage_range, 'usage_range', 5)
+  };
+}
+
+/**
+ * Projects points for one combination of factor values.
+ * @param {Object} values - { player, minutes, usage, pace, implied_total, dvp_fga, dvp_fta }.
+ * @returns {number} Unrounded projected points.
+ */
+function evaluatePoints(values) {
+  return projectScoring(
+    values.player,
+    { projectedMinutes: values.minutes, usageAdjustment: values.usage },
+    {
+      paceAdjustment: values.pace * values.implied_total,
+      dvpFgaFactor: values.dvp_fga,
+      dvpFtaFactor: values.dvp_fta
+    }
+  ).totalProjectedPoints;
+}
+
+/**
+ * Builds the factor values for a subset of factors switched to their game values.
+ * @param {Object} baseline - Baseline value of each factor.
+ * @param {Object} actual - Game value of each factor.
+ * @param {number} mask - Bit i set when EXPLAIN_FACTORS[i] takes its game value.
+ * @returns {Object} Values for `evaluatePoints` (shooting maps to the player row).
+ */
+function mixValues(baseline, actual, mask) {
+  const values = {};
+  EXPLAIN_FACTORS.forEach(({ key }, index) => {
+    values[key] = mask & (1 << index) ? actual[key] : baseline[key];
+  });
+  values.player = values.shooting;
+  return values;
+}
+
+/**
+ * Calculates each factor's Shapley contribution to projected points.
+ * @param {Object} baseline - Baseline value of each factor.
+ * @param {Object} actual - Game value of each factor.
+ * @returns {number[]} Contribution of each factor, in EXPLAIN_FACTORS order.
+ */
+function calculateShapleyContributions(baseline, actual) {
+  const count = EXPLAIN_FACTORS.length;
+  const points = [];
+  for (let mask = 0; mask < 1 << count; mask++) {
+    points.push(evaluatePoints(mixValues(baseline, actual, mask)));
+  }
+
+  const factorial = [1];
+  for (let n = 1; n <= count; n++) {
+    factorial.push(factorial[n - 1] * n);
+  }
+
+  return EXPLAIN_FACTORS.map((factor, index) => {
+    const bit = 1 << index;
+    let contribution = 0;
+    for (let mask = 0; mask < 1 << count; mask++) {
+      if (mask & bit) {
+        continue;
+      }
+      let size = 0;
+      for (let rest = mask; rest; rest &= rest - 1) {
+        size++;
+      }
+      const weight = factorial[size] * factorial[count - size - 1] / factorial[count];
+      contribution += weight * (points[mask | bit] - points[mask]);
+    }
+    return contribution;
+  });
+}
+
+/**
+ * Returns evenly spaced values from low to high.
+ * @param {number[]} range - [low, high].
+ * @returns {number[]} SENSITIVITY_POINTS values.
+ */
+function spaceRange([low, high]) {
+  return Array.from({ length: SENSITIVITY_POINTS }, (_, index) =>
+    low + (high - low) * index / (SENSITIVITY_POINTS - 1));
+}
+
+/**
+ * Explains a projection: factor attribution against the season-average baseline
+ * and sensitivity of projected points to minutes and usage.
+ * @param {Object} context
+ * @param {Object} context.player - Player row as stored (raw shooting percentages).
+ * @param {Object} context.projectionPlayer - Player row used for the projection.
+ * @param {number} context.minutes - Minutes used (after teammate absences).
+ * @param {number} context.usage - Usage multiplier used (after teammate absences).
+ * @param {Object} context.environment - Result of `buildGameEnvironment`.
+ * @param {number} context.dvpFgaFactor - DVP FGA factor used.
+ * @param {number} context.dvpFtaFactor - DVP FTA factor used.
+ * @param {Object} [ranges] - { minutes, usage } from `parseSensitivityRanges`; a null
+ * range defaults to ±8 minutes around the minutes used, or 0.8–1.3 usage.
+ * @returns {Object} { baseline_points, projected_points, attribution[], sensitivity }.
+ * @throws {Error} If the baseline cannot be projected (e.g., missing minutes_per_game).
+ */
+function explainProjection(context, ranges = {}) {
+  const { player, projectionPlayer, minutes, usage, environment, dvpFgaFactor, dvpFtaFactor } = context;
+
+  const baseline = {
+    minutes: Math.min(48, player.minutes_per_game),
+    usage: 1,
+    pace: 1,
+    implied_total: 1,
+    dvp_fga: 1,
+    dvp_fta: 1,
+    shooting: player
+  };
+  const actual = {
+    minutes,
+    usage,
+    pace: environment.paceAdjustment / environment.impliedTotalFactor,
+    implied_total: environment.impliedTotalFactor,
+    dvp_fga: dvpFgaFactor,
+    dvp_fta: dvpFtaFactor,
+    shooting: projectionPlayer
+  };
+
+  const minutesRange = ranges.minutes ||
+    [Math.max(1, minutes - DEFAULT_MINUTES_SPREAD), Math.min(48, minutes + DEFAULT_MINUTES_SPREAD)];
+  const usageRange = ranges.usage || DEFAULT_USAGE_RANGE;
+
+  const contributions = calculateShapleyContributions(baseline, actual);
+  const actualValues = mixValues(baseline, actual, (1 << EXPLAIN_FACTORS.length) - 1);
+
+  return {
+    baseline_points: parseFloat(evaluatePoints(mixValues(baseline, actual, 0)).toFixed(2)),
+    projected_points: parseFloat(evaluatePoints(actualValues).toFixed(2)),
+    attribution: EXPLAIN_FACTORS.map((factor, index) => ({
+      factor: factor.key,
+      label: factor.label,
+      // Shooting is described by its effect only; the row's percentages are in shooting_regression
+      baseline_value: factor.key === 'shooting' ? null : parseFloat(baseline[factor.key].toFixed(4)),
+      value: factor.key === 'shooting' ? null : parseFloat(actual[factor.key].toFixed(4)),
+      points: parseFloat(contributions[index].toFixed(2))
+    })),
+    sensitivity: {
+      minutes: spaceRange(minutesRange).map(value => ({
+        minutes: parseFloat(value.toFixed(1)),
+        projected_points: parseFloat(evaluatePoints({ ...actualValues, minutes: value }).toFixed(1))
+      })),
+      usage: spaceRange(usageRange).map(value => ({
+        usage: parseFloat(value.toFixed(3)),
+        projected_points: parseFloat(evaluatePoints({ ...actualValues, usage: value }).toFixed(1))
+      }))
+    }
+  };
+}
+
+module.exports = {
+  EXPLAIN_FACTORS,
+  parseSensitivityRanges,
+  explainProjection
+};
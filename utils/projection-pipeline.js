@@ -0,0 +1,572 @@
+/**
+ * @fileoverview Single-matchup projection pipeline.
+ * Validates raw request parameters, resolves the player, opponent and DVP
+ * rows from loaded data and runs `calculateTotalProjectedPoints`. Used by the
+ * single projection route and the slate (batch) route so both produce
+ * identical results for identical inputs.
+ */
+
+const {
+  MAX_PROJECTED_MINUTES,
+  MAX_USAGE_ADJUSTMENT,
+  validateAndParseNumber,
+  validatePlayerData,
+  projectScoring,
+  calculateTotalProjectedPoints,
+  calculateOpponentStatFactor,
+  calculateProjectedStatLine
+} = require('./calculations');
+const {
+  getDatasetBody,
+  resolvePlayer,
+  findTeamPace,
+  findLeagueAverageRating
+} = require('./data-lookup');
+const { resolvePositionWeights, blendDvpFactors } = require('./positions');
+const { parseShrinkageOption, regressShootingPercentages } = require('./shooting-regression');
+const { projectMinutes } = require('./minutes-projection');
+const { resolveScoringRules, calculateFantasyPoints } = require('./scoring');
+const { DEFAULT_SIMULATIONS, MAX_SIMULATIONS, parseSimulationOptions, simulateProjectedPoints } = require('./simulation');
+const { parseSensitivityRanges, explainProjection } = require('./projection-explain');
+const {
+  parseVegasLines,
+  buildGameEnvironment,
+  calculateEnvironmentContributions
+} = require('./game-environment');
+const { calculateTeammateAbsenceAdjustments } = require('./teammate-absences');
+
+// Machine-readable codes carried by request errors, with what each one means
+const ERROR_CODES = {
+  MISSING_PARAMETER: 'A required parameter is missing or empty.',
+  INVALID_PARAMETER: 'A parameter has an invalid value.',
+  INVALID_MINUTES: `projected_minutes is not a number greater than 0 and at most ${MAX_PROJECTED_MINUTES}, or minutes could not be projected.`,
+  INVALID_USAGE: `usage_adjustment is not a number greater than 0 and at most ${MAX_USAGE_ADJUSTMENT}.`,
+  INVALID_POSITION: 'player_position or position_weights is invalid, or no position is known for the player.',
+  INVALID_SCORING: 'scoring_system or scoring_rules is invalid.',
+  INVALID_SIMULATION: 'simulations, seed or prop_line is invalid.',
+  INVALID_VEGAS_LINES: 'game_total or spread is invalid.',
+  INVALID_SHRINKAGE: 'shrinkage is not a supported prior.',
+  INVALID_RANGE: 'minutes_range or usage_range is malformed or out of bounds.',
+  INVALID_TEAMMATE: 'An absent teammate is the player or plays for another team, or the absent teammates leave no minutes to redistribute.',
+  PLAYER_NOT_FOUND: 'No player matches the name.',
+  PLAYER_AMBIGUOUS: 'The name matches more than one player; see suggestions.',
+  TEAM_NOT_FOUND: 'No team matches the abbreviation or name.',
+  SEASON_NOT_FOUND: 'The season is unknown or its datasets are incomplete.',
+  MISSING_DVP: 'The opponent has no DVP row for a position used (only an error with strict_dvp).',
+  INCOMPLETE_PLAYER_DATA: 'The player, or an absent teammate, is missing statistics needed for a projection.',
+  NOT_FOUND: 'A requested resource does not exist.'
+};
+
+// Code used when a request error is created without one
+const DEFAULT_ERROR_CODES = { 400: 'INVALID_PARAMETER', 404: 'NOT_FOUND' };
+
+/**
+ * Creates an Error carrying the HTTP status an API route should respond with.
+ * @param {string} message - Human-readable error message.
+ * @param {number} statusCode - HTTP status code (e.g., 400, 404).
+ * @param {Object} [details] - Extra fields to include in the error response (e.g., suggestions).
+ * `code` (one of ERROR_CODES) and `field` (path of the offending parameter, e.g.
+ * "teammates_out[1]") are taken out of the details and set on the error.
+ * @returns {Error} Error with `statusCode`, `code` and `field` properties, and `details` if given.
+ */
+function createRequestError(message, statusCode, details) {
+  const { code, field, ...rest } = details || {};
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code || DEFAULT_ERROR_CODES[statusCode] || 'INVALID_PARAMETER';
+  error.field = field || null;
+  if (Object.keys(rest).length > 0) {
+    error.details = rest;
+  }
+  return error;
+}
+
+/**
+ * Resolves a player name, allowing for accents, punctuation, suffixes, nicknames and typos.
+ * @param {Object} playerStats - The parsed player statistics object.
+ * @param {string} playerName - The name as supplied by the caller.
+ * @param {string} label - How the player is described in error messages ("Player", "Teammate").
+ * @param {string} field - Parameter path reported with the error (e.g., "player_name").
+ * @returns {Object} The resolution ({ player, matchType, confidence }).
+ * @throws {Error} 404 with `details.suggestions` if the name is unknown or ambiguous.
+ */
+function resolvePlayerOrThrow(playerStats, playerName, label, field) {
+  const match = resolvePlayer(playerStats, playerName);
+  if (match.player) {
+    return match;
+  }
+  const message = match.matchType === 'ambiguous'
+    ? `${label} "${playerName}" matches more than one player. Please choose one of the suggestions.`
+    : `${label} "${playerName}" not found in database. Please check spelling.`;
+  throw createRequestError(message, 404, {
+    code: match.matchType === 'ambiguous' ? 'PLAYER_AMBIGUOUS' : 'PLAYER_NOT_FOUND',
+    field,
+    suggestions: match.suggestions
+  });
+}
+
+/**
+ * Checks that a raw request parameter is a non-empty string or a number.
+ * @param {any} value - The raw parameter value.
+ * @returns {boolean} True if the value is present.
+ */
+function isPresent(value) {
+  if (typeof value === 'number') {
+    return isFinite(value);
+  }
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Works out which parameter a validation message from a parser refers to.
+ * @param {Error} error - Error thrown by the parser.
+ * @param {Object} prefixes - Maps parameter name to the label its messages start with.
+ * @returns {string|null} The parameter name, or null if no label matches.
+ */
+function fieldFromMessage(error, prefixes) {
+  return Object.keys(prefixes).find(field => error.message.startsWith(prefixes[field])) || null;
+}
+
+/**
+ * Parses a minutes or usage value and checks it against the calculation's bounds.
+ * @param {any} value - The raw value.
+ * @param {string} label - Field label for error messages ("Projected Minutes").
+ * @param {number} max - Largest value allowed.
+ * @param {Object} details - { code, field } reported if the value is invalid.
+ * @returns {number} The parsed value.
+ * @throws {Error} 400 if the value is not a number in (0, max].
+ */
+function parseGameParam(value, label, max, details) {
+  let parsed;
+  try {
+    parsed = validateAndParseNumber(value, label);
+  } catch (error) {
+    throw createRequestError(error.message, 400, details);
+  }
+  if (parsed > max) {
+    throw createRequestError(`${label} cannot exceed ${max}. Received: "${value}"`, 400, details);
+  }
+  return parsed;
+}
+
+/**
+ * Rounds a factor for the response, passing null through.
+ * @param {number|null} value - The value to round.
+ * @returns {number|null} The value rounded to 4 decimal places.
+ */
+function roundFactor(value) {
+  return value === null ? null : parseFloat(value.toFixed(4));
+}
+
+/**
+ * Normalizes a list parameter given as an array or a comma-separated string.
+ * @param {string|string[]|undefined} value - The raw parameter value.
+ * @returns {string[]} Trimmed, non-empty entries.
+ */
+function parseList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+  return entries
+    .map(entry => String(entry).trim())
+    .filter(entry => entry !== '');
+}
+
+/**
+ * Tells whether matchup parameters ask for a simulated distribution.
+ * @param {Object} params - Raw matchup parameters.
+ * @returns {boolean} True for simulate=true or when a prop_line is given.
+ */
+function wantsSimulation(params) {
+  return params.simulate === true || params.simulate === 'true' || isPresent(params.prop_line);
+}
+
+/**
+ * Counts the simulated games a projection with these parameters would run, so
+ * batch callers can bound the total work of a request before starting it.
+ * @param {Object} params - Raw matchup parameters.
+ * @returns {number} Simulations requested; 0 when not simulating or when the
+ * options are invalid (the projection itself then fails with INVALID_SIMULATION).
+ */
+function countRequestedSimulations(params) {
+  if (!wantsSimulation(params)) {
+    return 0;
+  }
+  if (!isPresent(params.simulations)) {
+    return DEFAULT_SIMULATIONS;
+  }
+  const simulations = Number(params.simulations);
+  return Number.isInteger(simulations) && simulations > 0 && simulations <= MAX_SIMULATIONS ? simulations : 0;
+}
+
+/**
+ * Projects one player against one opponent.
+ *
+ * @param {Object} data - Loaded datasets ({ playerStats, teamPace, dvpData }).
+ * @param {Object} params - Raw matchup parameters (query string or JSON body values).
+ * Expected fields: player_name, opponent_team, usage_adjustment, and optionally:
+ * - projected_minutes (projected from season minutes and blowout risk when omitted)
+ * - player_position (one or more positions, e.g. "PG/SG") and position_weights
+ *   (e.g. "PG:0.7,SG:0.3"; equal shares by default)
+ * - scoring_system ("fanduel", "draftkings" or "custom") and scoring_rules (JSON rules for "custom")
+ * - simulate=true or a prop_line adds a simulated distribution, controlled by simulations and seed
+ * - game_total and spread (player's team, negative = favored) scale the game environment
+ *   to the Vegas implied team total
+ * - teammates_out (array or comma-separated names) derives extra minutes and usage
+ *   from the absent teammates' minutes and usage
+ * - shrinkage ("position" or "league") regresses 2P%, 3P% and FT% toward that prior by sample size
+ * - explain=true adds factor attribution and sensitivity curves, over minutes_range and
+ *   usage_range ("low-high") when given
+ * - strict_dvp=true fails with MISSING_DVP instead of using neutral factors for
+ *   positions the opponent has no DVP row for
+ * @param {Object} [options] - Caller settings that requests cannot set:
+ * - maxMinutes raises the MAX_PROJECTED_MINUTES limit on projected_minutes (e.g., to
+ *   score overtime games with their actual minutes)
+ * @returns {Object} The { player, player_match, opponent, dvp, inputs, projection,
+ * minutes_projection, stat_line, fantasy, warnings } portion of an API response, plus `distribution` when simulating and `explanation` when explaining.
+ * @throws {Error} With a `statusCode`, `code` (see ERROR_CODES) and `field` for invalid
+ * input, unknown player/team or unusable player data; without one for data or
+ * calculation failures.
+ */
+function projectMatchup(data, params, { maxMinutes = MAX_PROJECTED_MINUTES } = {}) {
+  const {
+    player_name,
+    opponent_team,
+    projected_minutes,
+    usage_adjustment,
+    player_position,
+    position_weights,
+    scoring_system = 'fanduel',
+    scoring_rules,
+    simulate,
+    simulations,
+    seed,
+    prop_line,
+    game_total,
+    spread,
+    teammates_out,
+    shrinkage,
+    explain,
+    minutes_range,
+    usage_range,
+    strict_dvp
+  } = params;
+
+  // Critical Validation of Parameters
+  if (!player_name || typeof player_name !== 'string' || player_name.trim() === '') {
+    throw createRequestError('Missing or invalid player_name parameter', 400, { code: 'MISSING_PARAMETER', field: 'player_name' });
+  }
+  if (!opponent_team || typeof opponent_team !== 'string' || opponent_team.trim() === '') {
+    throw createRequestError('Missing or invalid opponent_team parameter', 400, { code: 'MISSING_PARAMETER', field: 'opponent_team' });
+  }
+  if (!isPresent(usage_adjustment)) {
+    throw createRequestError('Missing usage_adjustment parameter', 400, { code: 'MISSING_PARAMETER', field: 'usage_adjustment' });
+  }
+  const usage = parseGameParam(usage_adjustment, 'Usage Adjustment', MAX_USAGE_ADJUSTMENT, {
+    code: 'INVALID_USAGE',
+    field: 'usage_adjustment'
+  });
+  if (isPresent(projected_minutes)) {
+    parseGameParam(projected_minutes, 'Projected Minutes', maxMinutes, {
+      code: 'INVALID_MINUTES',
+      field: 'projected_minutes'
+    });
+  }
+
+  let scoringRules;
+  try {
+    scoringRules = resolveScoringRules(scoring_system, scoring_rules);
+  } catch (error) {
+    throw createRequestError(error.message, 400, {
+      code: 'INVALID_SCORING',
+      field: scoring_system === 'custom' ? 'scoring_rules' : 'scoring_system'
+    });
+  }
+
+  let simulationOptions = null;
+  if (wantsSimulation(params)) {
+    try {
+      simulationOptions = parseSimulationOptions({ simulations, seed, propLine: prop_line });
+    } catch (error) {
+      throw createRequestError(error.message, 400, { code: 'INVALID_SIMULATION', field: fieldFromMessage(error, { simulations: 'Simulations', seed: 'Seed', prop_line: 'Prop line' }) });
+    }
+  }
+
+  const shouldExplain = explain === true || explain === 'true';
+  let sensitivityRanges = null;
+  if (shouldExplain) {
+    try {
+      sensitivityRanges = parseSensitivityRanges({ minutes_range, usage_range });
+    } catch (error) {
+      throw createRequestError(error.message, 400, { code: 'INVALID_RANGE', field: fieldFromMessage(error, { minutes_range: 'minutes_range', usage_range: 'usage_range' }) });
+    }
+  }
+
+  let vegasLines;
+  try {
+    vegasLines = parseVegasLines({ gameTotal: game_total, spread });
+  } catch (error) {
+    throw createRequestError(error.message, 400, { code: 'INVALID_VEGAS_LINES', field: fieldFromMessage(error, { game_total: 'Game total', spread: 'Spread' }) });
+  }
+
+  let shrinkagePrior;
+  try {
+    shrinkagePrior = parseShrinkageOption(shrinkage);
+  } catch (error) {
+    throw createRequestError(error.message, 400, { code: 'INVALID_SHRINKAGE', field: 'shrinkage' });
+  }
+
+  const { playerStats, teamPace, dvpData } = data;
+
+  // Find and Prepare Data for Calculations
+  const playerMatch = resolvePlayerOrThrow(playerStats, player_name, 'Player', 'player_name');
+  const player = playerMatch.player;
+  if (!validatePlayerData(player)) {
+    throw createRequestError(
+      `${player.player} is missing shooting statistics required for a projection.`,
+      422,
+      { code: 'INCOMPLETE_PLAYER_DATA', field: 'player_name' }
+    );
+  }
+
+  const opponentTeam = findTeamPace(teamPace, opponent_team);
+  if (!opponentTeam) {
+    throw createRequestError(
+      `Opponent team "${opponent_team}" not found in database. Please use a valid NBA team abbreviation.`,
+      404,
+      { code: 'TEAM_NOT_FOUND', field: 'opponent_team' }
+    );
+  }
+
+  const leagueAvgPace = getDatasetBody(teamPace).league_average_pace;
+  if (typeof leagueAvgPace !== 'number' || !isFinite(leagueAvgPace) || leagueAvgPace <= 0) {
+    throw new Error('League average pace data is invalid or missing.');
+  }
+
+  // Optionally regress the shooting percentages used for this projection toward a prior
+  let projectionPlayer = player;
+  let shootingRegression = null;
+  if (shrinkagePrior) {
+    const regression = regressShootingPercentages(playerStats, player, shrinkagePrior);
+    projectionPlayer = regression.player;
+    shootingRegression = regression.report;
+  }
+
+  let weightedPositions;
+  try {
+    weightedPositions = resolvePositionWeights(player, player_position, position_weights);
+  } catch (error) {
+    throw createRequestError(error.message, 400, {
+      code: 'INVALID_POSITION',
+      field: fieldFromMessage(error, { position_weights: 'position_weights' }) || 'player_position'
+    });
+  }
+
+  // DVP factors blended across the positions used; missing rows are neutral and reported
+  const dvp = blendDvpFactors(dvpData, opponentTeam.team, weightedPositions);
+  if ((strict_dvp === true || strict_dvp === 'true') && dvp.warnings.length > 0) {
+    const missing = dvp.positions.filter(entry => entry.missing).map(entry => entry.position);
+    throw createRequestError(
+      `DVP data not found for ${opponentTeam.team} at ${missing.join(', ')}.`,
+      422,
+      { code: 'MISSING_DVP', field: 'opponent_team', positions: missing }
+    );
+  }
+
+  // Expected game pace from both teams, optionally scaled to the Vegas implied team total
+  const playerTeam = findTeamPace(teamPace, player.team);
+  const environment = buildGameEnvironment({
+    team: playerTeam,
+    opponent: opponentTeam,
+    leagueAvgPace,
+    leagueAvgRating: findLeagueAverageRating(teamPace),
+    gameTotal: vegasLines.gameTotal,
+    spread: vegasLines.spread
+  });
+
+  // Project minutes from the player's season minutes and blowout risk unless given
+  let minutesInput = projected_minutes;
+  let minutesProjection = null;
+  if (!isPresent(projected_minutes)) {
+    try {
+      minutesProjection = projectMinutes(playerStats, player, {
+        spread: vegasLines.spread,
+        team: playerTeam,
+        opponent: opponentTeam,
+        pace: environment.expectedGamePace || leagueAvgPace
+      });
+    } catch (error) {
+      throw createRequestError(`${error.message} Please provide projected_minutes.`, 400, {
+        code: 'INVALID_MINUTES',
+        field: 'projected_minutes'
+      });
+    }
+    minutesInput = minutesProjection.projectedMinutes;
+  }
+
+  // Derive minutes and usage changes from absent teammates
+  let effectiveMinutes = minutesInput;
+  let effectiveUsage = usage_adjustment;
+  let teammateAbsences = null;
+  const teammatesOut = parseList(teammates_out);
+  if (teammatesOut.length > 0) {
+    const absentPlayers = teammatesOut.map((name, index) => {
+      const field = `teammates_out[${index}]`;
+      const absent = resolvePlayerOrThrow(playerStats, name, 'Teammate', field).player;
+      if (absent.player === player.player) {
+        throw createRequestError(`${player.player} cannot be listed as their own absent teammate.`, 400, { code: 'INVALID_TEAMMATE', field });
+      }
+      if (absent.team !== player.team) {
+        throw createRequestError(`${absent.player} (${absent.team}) is not a teammate of ${player.player} (${player.team}).`, 400, { code: 'INVALID_TEAMMATE', field });
+      }
+      return absent;
+    }).filter((absent, index, list) => list.indexOf(absent) === index);
+
+    // Both were validated above (projected minutes are always in range)
+    const baseMinutes = parseFloat(minutesInput);
+    const baseUsage = usage;
+
+    let absence;
+    try {
+      absence = calculateTeammateAbsenceAdjustments(player, absentPlayers, baseMinutes);
+    } catch (error) {
+      // The names were valid; the data cannot support redistributing their minutes and usage
+      throw createRequestError(error.message, 422, {
+        code: error.message.startsWith('Missing or invalid') ? 'INCOMPLETE_PLAYER_DATA' : 'INVALID_TEAMMATE',
+        field: 'teammates_out'
+      });
+    }
+    effectiveMinutes = baseMinutes + absence.extraMinutes;
+    effectiveUsage = baseUsage * absence.usageMultiplier;
+    teammateAbsences = {
+      teammates: absence.teammates,
+      derivedUsageMultiplier: parseFloat(absence.usageMultiplier.toFixed(4)),
+      derivedExtraMinutes: parseFloat(absence.extraMinutes.toFixed(1)),
+      effectiveMinutes: parseFloat(effectiveMinutes.toFixed(1)),
+      effectiveUsage: parseFloat(effectiveUsage.toFixed(4)),
+      minutesCeilingApplied: absence.minutesCeilingApplied
+    };
+  }
+
+  // Construct the 'adjustments' object expected by calculateTotalProjectedPoints
+  const adjustments = {
+    paceAdjustment: environment.paceAdjustment,
+    dvpFgaFactor: dvp.dvp_fga_factor,
+    dvpFtaFactor: dvp.dvp_fta_factor,
+    // Rebounds, assists and other counting stats use fantasy points allowed to the position
+    opponentStatFactor: calculateOpponentStatFactor(
+      dvp.fanduel_points_allowed,
+      dvp.league_average_fanduel_points_allowed
+    )
+  };
+
+  // Construct the 'rawGameParams' object expected by calculateTotalProjectedPoints
+  const rawGameParams = {
+    projectedMinutes: effectiveMinutes,
+    usageAdjustment: effectiveUsage,
+    maxMinutes
+  };
+
+  const projectionResult = calculateTotalProjectedPoints(
+    projectionPlayer,
+    rawGameParams,
+    adjustments
+  );
+
+  const environmentContributions = calculateEnvironmentContributions(
+    projectScoring(projectionPlayer, rawGameParams, adjustments).totalProjectedPoints,
+    environment
+  );
+
+  const statLineResult = calculateProjectedStatLine(projectionPlayer, rawGameParams, adjustments);
+  const fantasyResult = calculateFantasyPoints(statLineResult.statLine, scoringRules);
+
+  const result = {
+    player: {
+      name: player.player,
+      team: player.team,
+      position: player.position,
+      season_avg_ppg: player.points_per_game
+    },
+    player_match: {
+      query: player_name,
+      matched: player.player,
+      match_type: playerMatch.matchType,
+      confidence: playerMatch.confidence
+    },
+    opponent: {
+      team: opponentTeam.team,
+      pace: opponentTeam.pace,
+      pace_rank: opponentTeam.rank
+    },
+    dvp: {
+      position: dvp.position,
+      fanduel_points_allowed: roundFactor(dvp.fanduel_points_allowed),
+      rank_defense: dvp.rank_defense === null ? null : parseFloat(dvp.rank_defense.toFixed(1)),
+      dvp_fga_factor: roundFactor(dvp.dvp_fga_factor),
+      dvp_fta_factor: roundFactor(dvp.dvp_fta_factor),
+      positions: dvp.positions.map(entry => ({
+        position: entry.position,
+        weight: roundFactor(entry.weight),
+        fanduel_points_allowed: roundFactor(entry.fanduel_points_allowed),
+        rank_defense: entry.rank_defense,
+        dvp_fga_factor: entry.dvp_fga_factor,
+        dvp_fta_factor: entry.dvp_fta_factor,
+        missing: entry.missing
+      }))
+    },
+    inputs: {
+      projected_minutes: minutesInput,
+      minutes_source: minutesProjection ? 'model' : 'input',
+      usage_adjustment: usage_adjustment,
+      position_used: dvp.position,
+      position_weights: weightedPositions.reduce((weights, entry) => {
+        weights[entry.position] = roundFactor(entry.weight);
+        return weights;
+      }, {})
+    },
+    projection: projectionResult,
+    minutes_projection: minutesProjection,
+    teammates_out: teammateAbsences,
+    shooting_regression: shootingRegression,
+    game_environment: {
+      ...environment,
+      paceAdjustment: parseFloat(environment.paceAdjustment.toFixed(4)),
+      contributions: environmentContributions
+    },
+    stat_line: {
+      ...statLineResult.statLine,
+      opponent_stat_factor: statLineResult.opponentStatFactor,
+      unavailable_stats: statLineResult.unavailableStats
+    },
+    fantasy: fantasyResult,
+    warnings: dvp.warnings
+  };
+
+  if (simulationOptions) {
+    result.distribution = simulateProjectedPoints(projectionPlayer, rawGameParams, adjustments, simulationOptions);
+  }
+  if (shouldExplain) {
+    result.explanation = explainProjection({
+      player,
+      projectionPlayer,
+      minutes: parseFloat(effectiveMinutes),
+      usage: parseFloat(effectiveUsage),
+      environment,
+      dvpFgaFactor: adjustments.dvpFgaFactor,
+      dvpFtaFactor: adjustments.dvpFtaFactor
+    }, sensitivityRanges);
+  }
+
+  return result;
+}
+
+module.exports = {
+  ERROR_CODES,
+  countRequestedSimulations,
+  createRequestError,
+  resolvePlayerOrThrow,
+  parseList,
+  projectMatchup
+};
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview DFS salary file import.
+ * Reads the player lists FanDuel and DraftKings export for a contest. The site
+ * is recognized from the header row:
+ *   FanDuel:    Id, Position, Nickname (or First Name + Last Name), Salary, Team,
+ *               Opponent, Injury Indicator
+ *   DraftKings: ID, Name, Position, Salary, TeamAbbrev, Game Info ("BOS@WAS ...")
+ * Team abbreviations are normalized to the Basketball-Reference form used by
+ * the datasets.
+ */
+
+const { parseCsv } = require('./csv');
+const { DVP_POSITIONS, splitPositions } = require('./positions');
+const { normalizeTeamAbbreviation } = require('./teams');
+
+// Injury indicators meaning the player will not play
+const OUT_INDICATORS = ['O', 'OUT', 'IR', 'NA'];
+
+/**
+ * Recognizes the site a salary file was exported from.
+ * @param {string[]} headers - Header row.
+ * @returns {string|null} 'fanduel', 'draftkings', or null if neither.
+ */
+function detectSalarySite(headers) {
+  if (headers.includes('Nickname') || (headers.includes('First Name') && headers.includes('Opponent'))) {
+    return 'fanduel';
+  }
+  if (headers.includes('TeamAbbrev') || headers.includes('Name + ID')) {
+    return 'draftkings';
+  }
+  return null;
+}
+
+/**
+ * Works out a DraftKings player's opponent from the "Game Info" column.
+ * @param {string} gameInfo - E.g. "BOS@WAS 10/19/2026 07:00PM ET".
+ * @param {string} team - The player's (normalized) team.
+ * @returns {string|null} The opponent's abbreviation.
+ */
+function getOpponentFromGameInfo(gameInfo, team) {
+  const match = /^\s*([A-Za-z]+)\s*@\s*([A-Za-z]+)/.exec(gameInfo || '');
+  if (!match) {
+    return null;
+  }
+  const [away, home] = [normalizeTeamAbbreviation(match[1]), normalizeTeamAbbreviation(match[2])];
+  if (team === away) {
+    return home;
+  }
+  return team === home ? away : null;
+}
+
+/**
+ * Reads a salary file's position listing (e.g., "PG/SG").
+ * @param {string} value - Position column.
+ * @returns {string[]} The listed positions that are roster positions.
+ */
+function readPositions(value) {
+  return splitPositions(value).filter(position => DVP_POSITIONS.includes(position));
+}
+
+/**
+ * Reads one row of a salary file.
+ * @param {Object} row - Parsed CSV row.
+ * @param {string} site - 'fanduel' or 'draftkings'.
+ * @returns {Object} { id, name, positions, salary, team, opponent, injury }.
+ */
+function readSalaryRow(row, site) {
+  if (site === 'fanduel') {
+    const team = normalizeTeamAbbreviation(row.Team);
+    return {
+      id: row.Id,
+      name: row.Nickname || `${row['First Name'] || ''} ${row['Last Name'] || ''}`.trim(),
+      positions: readPositions(row.Position),
+      salary: Number(row.Salary),
+      team,
+      opponent: normalizeTeamAbbreviation(row.Opponent) || getOpponentFromGameInfo(row.Game, team),
+      injury: row['Injury Indicator'] || null
+    };
+  }
+  const team = normalizeTeamAbbreviation(row.TeamAbbrev);
+  return {
+    id: row.ID,
+    name: row.Name,
+    positions: readPositions(row.Position),
+    salary: Number(row.Salary),
+    team,
+    opponent: getOpponentFromGameInfo(row['Game Info'], team),
+    injury: null
+  };
+}
+
+/**
+ * Parses a FanDuel or DraftKings salary file.
+ * @param {string} text - CSV file contents.
+ * @param {string} [site] - 'fanduel' or 'draftkings'; detected from the headers when omitted.
+ * @returns {Object} { site, players[], rowErrors[] }. Players are { row, id, name,
+ * positions, salary, team, opponent, injury, out }; rows missing a name, position,
+ * salary, team or opponent are reported in rowErrors as { row, name, error }.
+ * @throws {Error} If the file is empty or its columns are not a known export format.
+ */
+function parseSalaryFile(text, site) {
+  const rows = parseCsv(String(text || ''));
+  if (rows.length === 0) {
+    throw new Error('Salary file is empty.');
+  }
+  const detected = detectSalarySite(Object.keys(rows[0]));
+  if (!detected) {
+    throw new Error('Salary file columns are not a FanDuel or DraftKings player export.');
+  }
+  if (site && site !== detected) {
+    throw new Error(`Salary file looks like a ${detected} export, not ${site}.`);
+  }
+
+  const players = [];
+  const rowErrors = [];
+  rows.forEach((row, index) => {
+    // Row number as seen in the file: data starts on line 2, after the header
+    const entry = { row: index + 2, ...readSalaryRow(row, detected) };
+    let error = null;
+    if (!entry.name) {
+      error = 'Missing player name.';
+    } else if (entry.positions.length === 0) {
+      error = 'Missing position.';
+    } else if (!Number.isInteger(entry.salary) || entry.salary <= 0) {
+      error = 'Missing or invalid salary.';
+    } else if (!entry.team || !entry.opponent) {
+      error = 'Unknown team or opponent.';
+    }
+    if (error) {
+      rowErrors.push({ row: entry.row, name: entry.name || null, error });
+      return;
+    }
+    entry.out = entry.injury !== null && OUT_INDICATORS.includes(entry.injury.toUpperCase());
+    players.push(entry);
+  });
+
+  return { site: detected, players, rowErrors };
+}
+
+module.exports = {
+  detectSalarySite,
+  parseSalaryFile
+};
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Validates values against the JSON Schema subset used in the
+ * OpenAPI document: $ref (to #/components/schemas), type, nullable, enum,
+ * minimum/maximum (with OpenAPI 3.0 boolean exclusiveMinimum), minLength,
+ * minItems/maxItems, items, properties, required and additionalProperties.
+ *
+ * Problems are reported with the path of the offending value, written the way
+ * a caller would address it in the JSON body ("teammates_out[1]",
+ * "position_weights.PG"), and the error code to report for it: the nearest
+ * `x-error-code` on the path, MISSING_PARAMETER for a missing required property
+ * and UNKNOWN_PARAMETER for one the schema does not allow.
+ */
+
+/**
+ * Joins a property name or array index onto a path.
+ * @param {string} path - Parent path ('' for the root).
+ * @param {string|number} key - Property name or array index.
+ * @returns {string} The child path.
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Resolves a local $ref ("#/components/schemas/Name").
+ * @param {Object} document - The OpenAPI document.
+ * @param {string} ref - The reference.
+ * @returns {Object} The referenced schema.
+ * @throws {Error} If the reference cannot be resolved.
+ */
+function resolveRef(document, ref) {
+  const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], document);
+  if (!target) {
+    throw new Error(`Unresolvable schema reference "${ref}"`);
+  }
+  return target;
+}
+
+/**
+ * Describes the JSON type of a value in the terms schemas use.
+ * @param {any} value - The value.
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'.
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+/**
+ * Collects the problems with a value against a schema.
+ * @param {Object} document - The OpenAPI document ($refs resolve against it).
+ * @param {Object} schema - Schema to check against.
+ * @param {any} value - The value.
+ * @param {string} path - Path of the value.
+ * @param {string|null} code - Error code inherited from the enclosing schema.
+ * @param {Object[]} problems - Array the problems are pushed to.
+ */
+function check(document, schema, value, path, code, problems) {
+  if (schema.$ref) {
+    check(document, resolveRef(document, schema.$ref), value, path, code, problems);
+    return;
+  }
+  const errorCode = schema['x-error-code'] || code;
+  const report = message => problems.push({ code: errorCode || 'INVALID_PARAMETER', message, field: path || null });
+
+  if (value === null) {
+    if (!schema.nullable) {
+      report(`${path || 'Value'} must not be null`);
+    }
+    return;
+  }
+
+  const actualType = typeOf(value);
+  if (schema.type) {
+    const typeMatches = actualType === schema.type || (schema.type === 'number' && actualType === 'integer');
+    if (!typeMatches) {
+      report(`${path || 'Value'} must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    report(`${path || 'Value'} must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined) {
+      if (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum) {
+        report(`${path} must be ${schema.exclusiveMinimum ? 'greater than' : 'at least'} ${schema.minimum}`);
+      }
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      report(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    report(`${path} must not be empty`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report(`${path} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report(`${path} must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(document, schema.items, item, childPath(path, index), errorCode, problems));
+    }
+  }
+
+  if (actualType === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        problems.push({ code: 'MISSING_PARAMETER', message: `${childPath(path, name)} is required`, field: childPath(path, name) });
+      }
+    });
+    Object.keys(value).forEach(name => {
+      if (value[name] === undefined) {
+        return;
+      }
+      if (properties[name]) {
+        check(document, properties[name], value[name], childPath(path, name), errorCode, problems);
+      } else if (schema.additionalProperties === false) {
+        problems.push({ code: 'UNKNOWN_PARAMETER', message: `${childPath(path, name)} is not a recognized parameter`, field: childPath(path, name) });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        check(document, schema.additionalProperties, value[name], childPath(path, name), errorCode, problems);
+      }
+    });
+  }
+}
+
+/**
+ * Validates a value against a named schema in an OpenAPI document.
+ * @param {Object} document - The OpenAPI document.
+ * @param {string} schemaName - Name under components.schemas.
+ * @param {any} value - The value to validate.
+ * @returns {Object[]} Problems as { code, message, field }; empty if the value is valid.
+ * @throws {Error} If the schema or one of its references does not exist.
+ */
+function validateSchema(document, schemaName, value) {
+  const problems = [];
+  check(document, resolveRef(document, `#/components/schemas/${schemaName}`), value, '', null, problems);
+  return problems;
+}
+
+module.exports = {
+  validateSchema
+};
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Fantasy scoring systems.
+ * Turns a projected stat line (see `calculateProjectedStatLine`) into fantasy
+ * points using FanDuel, DraftKings or custom JSON scoring rules.
+ *
+ * A scoring rule set has the shape:
+ *   {
+ *     "name": "My League",
+ *     "stats": { "points": 1, "rebounds": 1.2, "assists": 1.5, ... },
+ *     "bonuses": { "double_double": 1.5, "triple_double": 3 }
+ *   }
+ * `stats` keys must be stat-line fields; `bonuses` is optional.
+ */
+
+// Stat-line fields that scoring rules may assign a per-unit value to
+const SCORABLE_STATS = [
+  'points',
+  'rebounds',
+  'assists',
+  'steals',
+  'blocks',
+  'turnovers',
+  'three_pointers_made',
+  'field_goals_made',
+  'field_goals_attempted',
+  'free_throws_made',
+  'free_throws_attempted'
+];
+
+// Categories that count toward double-doubles and triple-doubles
+const DOUBLE_DIGIT_CATEGORIES = ['points', 'rebounds', 'assists', 'steals', 'blocks'];
+
+const BONUS_TYPES = ['double_double', 'triple_double'];
+
+const SCORING_SYSTEMS = {
+  fanduel: {
+    name: 'FanDuel',
+    stats: {
+      points: 1,
+      rebounds: 1.2,
+      assists: 1.5,
+      steals: 3,
+      blocks: 3,
+      turnovers: -1
+    },
+    bonuses: {}
+  },
+  draftkings: {
+    name: 'DraftKings',
+    stats: {
+      points: 1,
+      three_pointers_made: 0.5,
+      rebounds: 1.25,
+      assists: 1.5,
+      steals: 2,
+      blocks: 2,
+      turnovers: -0.5
+    },
+    bonuses: {
+      double_double: 1.5,
+      triple_double: 3
+    }
+  }
+};
+
+/**
+ * Validates a scoring rule set.
+ * @param {Object} rules - The scoring rules to validate.
+ * @returns {Object} The rules, with `bonuses` defaulted to an empty object.
+ * @throws {Error} If the rules are not an object or contain unknown stats or non-numeric values.
+ */
+function validateScoringRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('Scoring rules must be a JSON object.');
+  }
+  const { stats, bonuses = {} } = rules;
+  if (!stats || typeof stats !== 'object' || Array.isArray(stats) || Object.keys(stats).length === 0) {
+    throw new Error('Scoring rules must include a non-empty "stats" object.');
+  }
+  Object.keys(stats).forEach(stat => {
+    if (!SCORABLE_STATS.includes(stat)) {
+      throw new Error(`Unknown scoring stat "${stat}". Allowed stats: ${SCORABLE_STATS.join(', ')}.`);
+    }
+    if (typeof stats[stat] !== 'number' || !isFinite(stats[stat])) {
+      throw new Error(`Scoring value for "${stat}" must be a number.`);
+    }
+  });
+  if (typeof bonuses !== 'object' || bonuses === null || Array.isArray(bonuses)) {
+    throw new Error('Scoring rule "bonuses" must be an object.');
+  }
+  Object.keys(bonuses).forEach(bonus => {
+    if (!BONUS_TYPES.includes(bonus)) {
+      throw new Error(`Unknown scoring bonus "${bonus}". Allowed bonuses: ${BONUS_TYPES.join(', ')}.`);
+    }
+    if (typeof bonuses[bonus] !== 'number' || !isFinite(bonuses[bonus])) {
+      throw new Error(`Scoring value for bonus "${bonus}" must be a number.`);
+    }
+  });
+  return { name: rules.name || 'Custom', stats, bonuses };
+}
+
+/**
+ * Resolves the scoring rules to use from a system name and optional custom rules.
+ * @param {string} [system='fanduel'] - "fanduel", "draftkings" or "custom".
+ * @param {Object|string} [customRules] - Custom rules object or JSON string (required for "custom").
+ * @returns {Object} Validated scoring rules.
+ * @throws {Error} If the system is unknown or the custom rules are invalid.
+ */
+function resolveScoringRules(system = 'fanduel', customRules) {
+  const key = String(system).toLowerCase();
+
+  if (key === 'custom') {
+    if (customRules === undefined || customRules === null || customRules === '') {
+      throw new Error('Custom scoring requires scoring rules.');
+    }
+    let rules = customRules;
+    if (typeof customRules === 'string') {
+      try {
+        rules = JSON.parse(customRules);
+      } catch (error) {
+        throw new Error(`Custom scoring rules are not valid JSON: ${error.message}`);
+      }
+    }
+    return validateScoringRules(rules);
+  }
+
+  if (!SCORING_SYSTEMS[key]) {
+    throw new Error(`Unknown scoring system "${system}". Use one of: ${Object.keys(SCORING_SYSTEMS).join(', ')}, custom.`);
+  }
+  return SCORING_SYSTEMS[key];
+}
+
+/**
+ * Calculates fantasy points for a stat line.
+ * Stats that are null in the stat line score 0 and are reported in `missingStats`
+ * when the rules assign them a value.
+ * @param {Object} statLine - Projected stat line.
+ * @param {Object} rules - Validated scoring rules.
+ * @returns {Object} Total fantasy points, per-stat contributions and bonuses applied.
+ */
+function calculateFantasyPoints(statLine, rules) {
+  const breakdown = {};
+  const missingStats = [];
+  let total = 0;
+
+  Object.keys(rules.stats).forEach(stat => {
+    const value = statLine[stat];
+    if (value === null || value === undefined) {
+      missingStats.push(stat);
+      return;
+    }
+    const contribution = value * rules.stats[stat];
+    breakdown[stat] = parseFloat(contribution.toFixed(2));
+    total += contribution;
+  });
+
+  const doubleDigitCount = DOUBLE_DIGIT_CATEGORIES.filter(stat =>
+    typeof statLine[stat] === 'number' && statLine[stat] >= 10
+  ).length;
+
+  const bonuses = {};
+  if (rules.bonuses.double_double && doubleDigitCount >= 2) {
+    bonuses.double_double = rules.bonuses.double_double;
+    total += rules.bonuses.double_double;
+  }
+  if (rules.bonuses.triple_double && doubleDigitCount >= 3) {
+    bonuses.triple_double = rules.bonuses.triple_double;
+    total += rules.bonuses.triple_double;
+  }
+
+  return {
+    system: rules.name,
+    fantasyPoints: parseFloat(total.toFixed(2)),
+    breakdown,
+    bonuses,
+    missingStats
+  };
+}
+
+module.exports = {
+  SCORABLE_STATS,
+  SCORING_SYSTEMS,
+  validateScoringRules,
+  resolveScoringRules,
+  calculateFantasyPoints
+};
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Empirical-Bayes regression of shooting percentages.
+ * A player's 2P%, 3P% and FT% are treated as draws around a prior mean (their
+ * position's or the league's attempt-weighted percentage). Each percentage is
+ * pulled toward that mean in proportion to how few attempts back it:
+ *
+ *   regressed = (makes + k × prior mean) ÷ (attempts + k)
+ *
+ * k ("prior attempts") is estimated from the dataset itself by the method of
+ * moments: the spread of players' percentages beyond what sampling noise
+ * explains gives the true-talent variance τ², and k = mean × (1 − mean) ÷ τ² − 1.
+ * Season attempts are reconstructed from games, minutes and the per-36 rates,
+ * so a short season or low volume means more regression.
+ */
+
+const { getDatasetBody } = require('./data-lookup');
+const { getPlayerPositions } = require('./positions');
+
+// How each percentage's season attempts are reconstructed from a player row
+const SHOOTING_STATS = {
+  two_point_percentage: player => seasonFieldGoalAttempts(player) * (1 - player.three_point_attempt_rate),
+  three_point_percentage: player => seasonFieldGoalAttempts(player) * player.three_point_attempt_rate,
+  free_throw_percentage: player => (player.FTA_36 / 36) * player.minutes_per_game * player.games
+};
+
+// Bounds on the estimated prior attempts, and the value used when the estimate is unusable
+const PRIOR_ATTEMPTS = {
+  two_point_percentage: { min: 50, max: 1000, fallback: 300 },
+  three_point_percentage: { min: 50, max: 1500, fallback: 500 },
+  free_throw_percentage: { min: 25, max: 1000, fallback: 200 }
+};
+
+// Fewest players with attempts needed to estimate a prior from the data
+const MIN_PRIOR_PLAYERS = 10;
+
+// Accepted values of the `shrinkage` parameter
+const SHRINKAGE_PRIORS = ['position', 'league'];
+
+// Priors computed once per loaded player dataset
+const priorCache = new WeakMap();
+
+/**
+ * Reconstructs a player's season field goal attempts.
+ * @param {Object} player - Player row (FGA_36, minutes_per_game, games).
+ * @returns {number} Estimated season field goal attempts.
+ */
+function seasonFieldGoalAttempts(player) {
+  return (player.FGA_36 / 36) * player.minutes_per_game * player.games;
+}
+
+/**
+ * Returns a player's estimated season attempts and makes for one percentage.
+ * @param {Object} player - Player row.
+ * @param {string} stat - Key of SHOOTING_STATS.
+ * @returns {Object|null} { attempts, makes }, or null if the row lacks the data.
+ */
+function getShootingSample(player, stat) {
+  const attempts = SHOOTING_STATS[stat](player);
+  const percentage = player[stat];
+  if (!isFinite(attempts) || attempts <= 0 || typeof percentage !== 'number' || !isFinite(percentage)) {
+    return null;
+  }
+  return { attempts, makes: attempts * percentage };
+}
+
+/**
+ * Estimates the prior mean and prior attempts for one percentage from a group of players.
+ * @param {Object[]} players - Player rows in the group.
+ * @param {string} stat - Key of SHOOTING_STATS.
+ * @returns {Object|null} { mean, priorAttempts, players }, or null if the group has no attempts.
+ */
+function estimatePrior(players, stat) {
+  const samples = players.map(player => getShootingSample(player, stat)).filter(Boolean);
+  const totalAttempts = samples.reduce((sum, sample) => sum + sample.attempts, 0);
+  if (samples.length === 0 || totalAttempts <= 0) {
+    return null;
+  }
+
+  const mean = samples.reduce((sum, sample) => sum + sample.makes, 0) / totalAttempts;
+  const bounds = PRIOR_ATTEMPTS[stat];
+  let priorAttempts = bounds.fallback;
+
+  if (samples.length >= MIN_PRIOR_PLAYERS && mean > 0 && mean < 1) {
+    // Attempt-weighted variance of observed percentages, minus the expected binomial noise
+    const observedVariance = samples.reduce((sum, sample) => {
+      const deviation = sample.makes / sample.attempts - mean;
+      return sum + sample.attempts * deviation * deviation;
+    }, 0) / totalAttempts;
+    const noiseVariance = mean * (1 - mean) * samples.length / totalAttempts;
+    const talentVariance = observedVariance - noiseVariance;
+    priorAttempts = talentVariance > 0
+      ? Math.min(bounds.max, Math.max(bounds.min, mean * (1 - mean) / talentVariance - 1))
+      : bounds.max;
+  }
+
+  return { mean, priorAttempts, players: samples.length };
+}
+
+/**
+ * Returns the league and per-position priors for a player dataset, computing them once.
+ * Prior attempts are always estimated league-wide; position groups are too small
+ * to estimate the spread reliably, so they only supply their own mean.
+ * @param {Object} playerStats - The parsed player statistics object.
+ * @returns {Object} { league: { stat: prior }, positions: { position: { stat: prior } } }.
+ */
+function getShootingPriors(playerStats) {
+  let priors = priorCache.get(playerStats);
+  if (priors) {
+    return priors;
+  }
+
+  const players = getDatasetBody(playerStats).players;
+  priors = { league: {}, positions: {} };
+  Object.keys(SHOOTING_STATS).forEach(stat => {
+    priors.league[stat] = estimatePrior(players, stat);
+  });
+
+  const byPosition = {};
+  players.forEach(player => {
+    const position = getPlayerPositions(player)[0];
+    if (position) {
+      byPosition[position] = byPosition[position] || [];
+      byPosition[position].push(player);
+    }
+  });
+  Object.keys(byPosition).forEach(position => {
+    priors.positions[position] = {};
+    Object.keys(SHOOTING_STATS).forEach(stat => {
+      const prior = estimatePrior(byPosition[position], stat);
+      const league = priors.league[stat];
+      priors.positions[position][stat] = prior && league
+        ? { mean: prior.mean, priorAttempts: league.priorAttempts, players: prior.players }
+        : null;
+    });
+  });
+
+  priorCache.set(playerStats, priors);
+  return priors;
+}
+
+/**
+ * Parses the `shrinkage` request parameter.
+ * @param {string|boolean|undefined} value - "position", "league", "true" (= position),
+ * or "off"/"false"/absent to disable.
+ * @returns {string|null} The prior to regress toward, or null when disabled.
+ * @throws {Error} If the value is not recognized.
+ */
+function parseShrinkageOption(value) {
+  if (value === undefined || value === null || value === '' || value === false || value === 'false' || value === 'off') {
+    return null;
+  }
+  if (value === true || value === 'true') {
+    return 'position';
+  }
+  const prior = String(value).trim().toLowerCase();
+  if (!SHRINKAGE_PRIORS.includes(prior)) {
+    throw new Error(`shrinkage must be one of ${SHRINKAGE_PRIORS.join(', ')} (or off).`);
+  }
+  return prior;
+}
+
+/**
+ * Regresses a player's 2P%, 3P% and FT% toward the chosen prior.
+ * Falls back to the league prior when the player's position has no data.
+ * @param {Object} playerStats - The parsed player statistics object.
+ * @param {Object} player - Player row.
+ * @param {string} priorType - "position" or "league".
+ * @returns {Object} { player (copy with regressed percentages), report } where
+ * report lists raw and regressed values side by side for each percentage.
+ */
+function regressShootingPercentages(playerStats, player, priorType) {
+  const priors = getShootingPriors(playerStats);
+  const position = getPlayerPositions(player)[0];
+  const positionPriors = priorType === 'position' && position ? priors.positions[position] : null;
+
+  const regressedPlayer = { ...player };
+  const stats = {};
+
+  Object.keys(SHOOTING_STATS).forEach(stat => {
+    const prior = (positionPriors && positionPriors[stat]) || priors.league[stat];
+    const sample = getShootingSample(player, stat);
+    if (!prior || !sample) {
+      stats[stat] = { raw: player[stat], regressed: player[stat], prior_mean: null, attempts: null, prior_attempts: null, weight_on_player: 1 };
+      return;
+    }
+
+    const regressed = (sample.makes + prior.priorAttempts * prior.mean) / (sample.attempts + prior.priorAttempts);
+    regressedPlayer[stat] = regressed;
+    stats[stat] = {
+      raw: player[stat],
+      regressed: parseFloat(regressed.toFixed(4)),
+      prior_mean: parseFloat(prior.mean.toFixed(4)),
+      attempts: Math.round(sample.attempts),
+      prior_attempts: Math.round(prior.priorAttempts),
+      weight_on_player: parseFloat((sample.attempts / (sample.attempts + prior.priorAttempts)).toFixed(3))
+    };
+  });
+
+  return {
+    player: regressedPlayer,
+    report: {
+      prior: positionPriors ? 'position' : 'league',
+      prior_group: positionPriors ? position : 'league',
+      stats
+    }
+  };
+}
+
+module.exports = {
+  SHRINKAGE_PRIORS,
+  getShootingPriors,
+  parseShrinkageOption,
+  regressShootingPercentages
+};
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Monte Carlo simulation of a player's scoring distribution.
+ * Shot attempts are drawn around the deterministic projection (Poisson), split
+ * into two- and three-point attempts by the player's 3PA rate, and makes are
+ * drawn from the player's shooting percentages (binomial). All randomness comes
+ * from a seeded generator so a given seed always reproduces the same result.
+ */
+
+const { projectScoring } = require('./calculations');
+
+const DEFAULT_SIMULATIONS = 10000;
+const MAX_SIMULATIONS = 100000;
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * @param {number} seed - Integer seed.
+ * @returns {Function} A function returning uniformly distributed numbers in [0, 1).
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draws a Poisson-distributed count.
+ * Uses Knuth's method for typical attempt volumes and a normal approximation for large means.
+ * @param {number} mean - Expected count (lambda).
+ * @param {Function} random - Seeded uniform generator.
+ * @returns {number} Non-negative integer sample.
+ */
+function samplePoisson(mean, random) {
+  if (mean <= 0) {
+    return 0;
+  }
+  if (mean > 60) {
+    // Box-Muller normal approximation
+    const u1 = random() || Number.MIN_VALUE;
+    const u2 = random();
+    const normal = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    return Math.max(0, Math.round(mean + normal * Math.sqrt(mean)));
+  }
+  const limit = Math.exp(-mean);
+  let count = 0;
+  let product = random();
+  while (product > limit) {
+    count++;
+    product *= random();
+  }
+  return count;
+}
+
+/**
+ * Draws a binomially distributed count of successes.
+ * @param {number} trials - Number of trials.
+ * @param {number} probability - Success probability per trial (0.0 to 1.0).
+ * @param {Function} random - Seeded uniform generator.
+ * @returns {number} Number of successes.
+ */
+function sampleBinomial(trials, probability, random) {
+  let successes = 0;
+  for (let i = 0; i < trials; i++) {
+    if (random() < probability) {
+      successes++;
+    }
+  }
+  return successes;
+}
+
+/**
+ * Returns the nearest-rank percentile of sorted values.
+ * @param {number[]} sortedValues - Values sorted ascending.
+ * @param {number} percentile - Percentile (0 to 100).
+ * @returns {number} The percentile value.
+ */
+function percentileOf(sortedValues, percentile) {
+  const rank = Math.ceil((percentile / 100) * sortedValues.length);
+  return sortedValues[Math.min(sortedValues.length - 1, Math.max(0, rank - 1))];
+}
+
+/**
+ * Checks whether an option was given; null counts as absent, as in JSON bodies.
+ * @param {any} value - The raw option.
+ * @returns {boolean} True if the option has a value.
+ */
+function isPresent(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Validates simulation options.
+ * @param {Object} options - Raw options ({ simulations, seed, propLine }); strings allowed.
+ * @returns {Object} Parsed { simulations, seed, propLine } (propLine may be null).
+ * @throws {Error} If any option is not a valid number or out of range.
+ */
+function parseSimulationOptions(options) {
+  const { simulations, seed, propLine } = options;
+
+  let parsedSimulations = DEFAULT_SIMULATIONS;
+  if (isPresent(simulations)) {
+    parsedSimulations = Number(simulations);
+    if (!Number.isInteger(parsedSimulations) || parsedSimulations < 1 || parsedSimulations > MAX_SIMULATIONS) {
+      throw new Error(`Simulations must be an integer between 1 and ${MAX_SIMULATIONS}. Received: "${simulations}"`);
+    }
+  }
+
+  let parsedSeed;
+  if (!isPresent(seed)) {
+    // No seed supplied: pick one and report it so the run can be reproduced
+    parsedSeed = Math.floor(Math.random() * 4294967296);
+  } else {
+    parsedSeed = Number(seed);
+    if (!Number.isInteger(parsedSeed) || parsedSeed < 0 || parsedSeed > 4294967295) {
+      throw new Error(`Seed must be an integer between 0 and 4294967295. Received: "${seed}"`);
+    }
+  }
+
+  let parsedPropLine = null;
+  if (isPresent(propLine)) {
+    parsedPropLine = Number(propLine);
+    if (!isFinite(parsedPropLine) || parsedPropLine < 0) {
+      throw new Error(`Prop line must be a non-negative number. Received: "${propLine}"`);
+    }
+  }
+
+  return { simulations: parsedSimulations, seed: parsedSeed, propLine: parsedPropLine };
+}
+
+/**
+ * Simulates the distribution of a player's points for a game.
+ *
+ * @param {Object} playerData - Player statistical data (same fields as `calculateTotalProjectedPoints`).
+ * @param {Object} rawGameParams - Game-specific parameters (projectedMinutes, usageAdjustment).
+ * @param {Object} adjustments - Adjustment factors (paceAdjustment, dvpFgaFactor, dvpFtaFactor).
+ * @param {Object} [options={}] - { simulations, seed, propLine }; strings allowed.
+ * @returns {Object} Mean, standard deviation, p10/p50/p90 and, if a prop line was
+ * given, the probabilities of finishing over, under or exactly on it.
+ * @throws {Error} If any input data is missing, invalid, or cannot be parsed.
+ */
+function simulateProjectedPoints(playerData, rawGameParams, adjustments, options = {}) {
+  const { simulations, seed, propLine } = parseSimulationOptions(options);
+  const scoring = projectScoring(playerData, rawGameParams, adjustments);
+  const {
+    three_point_attempt_rate,
+    two_point_percentage,
+    three_point_percentage,
+    free_throw_percentage
+  } = playerData;
+
+  const random = createRandom(seed);
+  const outcomes = new Array(simulations);
+  let sum = 0;
+
+  for (let i = 0; i < simulations; i++) {
+    const fieldGoalAttempts = samplePoisson(scoring.projectedFGA, random);
+    const threePointAttempts = sampleBinomial(fieldGoalAttempts, three_point_attempt_rate, random);
+    const twoPointAttempts = fieldGoalAttempts - threePointAttempts;
+    const freeThrowAttempts = samplePoisson(scoring.projectedFTA, random);
+
+    const points =
+      sampleBinomial(twoPointAttempts, two_point_percentage, random) * 2 +
+      sampleBinomial(threePointAttempts, three_point_percentage, random) * 3 +
+      sampleBinomial(freeThrowAttempts, free_throw_percentage, random);
+
+    outcomes[i] = points;
+    sum += points;
+  }
+
+  const mean = sum / simulations;
+  const variance = outcomes.reduce((total, points) => total + (points - mean) ** 2, 0) / simulations;
+  const sorted = outcomes.slice().sort((a, b) => a - b);
+
+  const result = {
+    simulations,
+    seed,
+    mean: parseFloat(mean.toFixed(1)),
+    stdDev: parseFloat(Math.sqrt(variance).toFixed(2)),
+    percentiles: {
+      p10: percentileOf(sorted, 10),
+      p50: percentileOf(sorted, 50),
+      p90: percentileOf(sorted, 90)
+    }
+  };
+
+  if (propLine !== null) {
+    const over = outcomes.filter(points => points > propLine).length;
+    const under = outcomes.filter(points => points < propLine).length;
+    result.propLine = propLine;
+    result.probOver = parseFloat((over / simulations).toFixed(4));
+    result.probUnder = parseFloat((under / simulations).toFixed(4));
+    result.probPush = parseFloat(((simulations - over - under) / simulations).toFixed(4));
+  }
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_SIMULATIONS,
+  MAX_SIMULATIONS,
+  createRandom,
+  samplePoisson,
+  sampleBinomial,
+  parseSimulationOptions,
+  simulateProjectedPoints
+};
@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Team-level projection reconciled to the expected team score.
+ * Every player on a team in the player stats file runs through `projectMatchup`
+ * against the same opponent. The summed points are compared to the team's
+ * expected score from its offensive rating, the opponent's defensive rating and
+ * the game pace (or the Vegas implied team total when game_total is given, since
+ * player projections are then scaled to it). What the roster does not account
+ * for is reported as the unexplained remainder; with reconcile=true each
+ * player's points are scaled so the roster sums to its share of the expected
+ * score, the share of the team's 240 minutes the roster's minutes cover. Minutes
+ * nobody in the stats file plays stay in the remainder rather than inflating the
+ * players who are listed.
+ */
+
+const { findTeamPlayers, findTeamPace, normalizeTeamKey } = require('./data-lookup');
+const { projectMatchup, createRequestError, resolvePlayerOrThrow, parseList } = require('./projection-pipeline');
+const { getTeamName } = require('./teams');
+
+// Player-minutes in a regulation game (5 players × 48 minutes)
+const TEAM_MINUTES = 240;
+
+// Least share of the team minutes the roster must cover to be reconciled
+const MIN_RECONCILE_COVERAGE = 0.75;
+
+// Per-player parameters that a team projection sets itself
+const PLAYER_PARAMS = ['player_name', 'projected_minutes', 'player_position', 'position_weights', 'simulate', 'simulations', 'seed', 'prop_line'];
+
+/**
+ * Parses a boolean flag given as a boolean or a "true"/"false" string.
+ * @param {any} value - Raw flag.
+ * @param {string} name - Parameter name for error messages.
+ * @returns {boolean} The flag (false when absent).
+ * @throws {Error} 400 if the value is not a boolean.
+ */
+function parseFlag(value, name) {
+  if (value === undefined || value === null || value === '' || value === false || value === 'false') {
+    return false;
+  }
+  if (value === true || value === 'true') {
+    return true;
+  }
+  throw createRequestError(`${name} must be "true" or "false"`, 400, { field: name });
+}
+
+/**
+ * Returns the minutes a projection used, after any teammate-absence boost.
+ * @param {Object} result - Result of `projectMatchup`.
+ * @returns {number} Minutes used.
+ */
+function getMinutesUsed(result) {
+  return Number(result.teammates_out ? result.teammates_out.effectiveMinutes : result.inputs.projected_minutes);
+}
+
+/**
+ * Projects every player on a team against one opponent and reconciles the total.
+ * @param {Object} data - Loaded datasets ({ playerStats, teamPace, dvpData }).
+ * @param {Object} params - Raw parameters: team, opponent_team, and optionally
+ * usage_adjustment (applied to every player, default 1.0), reconcile ("true" to scale
+ * players to the roster's minutes share of the expected score; skipped with a
+ * warning when the roster covers under 75% of the team minutes), teammates_out
+ * (players left out of the roster; their minutes and usage are redistributed as
+ * in a single projection), plus the
+ * shared options of `projectMatchup` (scoring_system, scoring_rules, game_total,
+ * spread, shrinkage). Per-player options are ignored.
+ * @returns {Object} { team, opponent, expected_team_score, totals, players[], skipped[], warnings }.
+ * @throws {Error} With a `statusCode` for invalid input or an unknown team; if no
+ * player can be projected, the first player's error is rethrown.
+ */
+function projectTeam(data, params) {
+  const { team, opponent_team, usage_adjustment = '1', reconcile, teammates_out } = params;
+
+  // Critical Validation of Parameters
+  if (!team || typeof team !== 'string' || team.trim() === '') {
+    throw createRequestError('Missing or invalid team parameter', 400, { code: 'MISSING_PARAMETER', field: 'team' });
+  }
+  if (!opponent_team || typeof opponent_team !== 'string' || opponent_team.trim() === '') {
+    throw createRequestError('Missing or invalid opponent_team parameter', 400, { code: 'MISSING_PARAMETER', field: 'opponent_team' });
+  }
+  const shouldReconcile = parseFlag(reconcile, 'reconcile');
+
+  const teamRow = findTeamPace(data.teamPace, team);
+  const roster = findTeamPlayers(data.playerStats, team);
+  if (!teamRow && roster.length === 0) {
+    throw createRequestError(`Team "${team}" not found in team pace or player data`, 404, { code: 'TEAM_NOT_FOUND', field: 'team' });
+  }
+  if (normalizeTeamKey(team) === normalizeTeamKey(opponent_team)) {
+    throw createRequestError('team and opponent_team must be different teams', 400, { field: 'opponent_team' });
+  }
+
+  // Absent teammates are left off the roster and passed to every remaining player
+  const absentNames = parseList(teammates_out)
+    .map((name, index) => resolvePlayerOrThrow(data.playerStats, name, 'Teammate', `teammates_out[${index}]`).player.player);
+  const players = roster.filter(player => !absentNames.includes(player.player));
+
+  const baseParams = { ...params, usage_adjustment };
+  PLAYER_PARAMS.forEach(name => delete baseParams[name]);
+  if (absentNames.length > 0) {
+    baseParams.teammates_out = absentNames;
+  }
+
+  const projections = [];
+  const skipped = [];
+  let firstError = null;
+  players.forEach(player => {
+    try {
+      projections.push(projectMatchup(data, { ...baseParams, player_name: player.player }));
+    } catch (error) {
+      firstError = firstError || error;
+      skipped.push({ player: player.player, error: error.message });
+    }
+  });
+
+  // A shared parameter (opponent, usage, scoring, Vegas lines) fails for everyone
+  if (projections.length === 0) {
+    if (firstError) {
+      throw firstError;
+    }
+    throw createRequestError(`No players to project for ${team}`, 404, { field: 'team' });
+  }
+
+  const environment = projections[0].game_environment;
+  const ratingsScore = environment.expectedTeamScore;
+  const impliedTeamTotal = environment.vegas ? environment.vegas.impliedTeamTotal : null;
+  const target = impliedTeamTotal !== null && ratingsScore !== null ? impliedTeamTotal : ratingsScore;
+  const targetSource = target === null ? null : target === impliedTeamTotal ? 'vegas_implied_total' : 'ratings';
+
+  const warnings = [];
+  projections.forEach(result => {
+    result.warnings.forEach(warning => {
+      if (!warnings.includes(warning)) {
+        warnings.push(warning);
+      }
+    });
+  });
+
+  const totalPoints = projections.reduce((sum, result) => sum + result.projection.projectedPoints, 0);
+  const totalMinutes = projections.reduce((sum, result) => sum + getMinutesUsed(result), 0);
+  const remainder = target === null ? null : target - totalPoints;
+  const minutesCoverage = Math.min(1, totalMinutes / TEAM_MINUTES);
+  const coveredTarget = target === null ? null : target * minutesCoverage;
+
+  let reconciled = false;
+  if (shouldReconcile) {
+    if (target === null || totalPoints <= 0) {
+      warnings.push('No expected team score to reconcile to; projections were not scaled.');
+    } else if (minutesCoverage < MIN_RECONCILE_COVERAGE) {
+      warnings.push(`Listed players cover only ${totalMinutes.toFixed(1)} of ${TEAM_MINUTES} team minutes; ` +
+        'projections were not scaled.');
+    } else {
+      reconciled = true;
+    }
+  }
+  const scaleFactor = reconciled ? coveredTarget / totalPoints : 1;
+  const reconciledRemainder = reconciled ? target - coveredTarget : remainder;
+
+  const playerRows = projections
+    .map(result => {
+      const projectedPoints = result.projection.projectedPoints;
+      const finalPoints = projectedPoints * scaleFactor;
+      return {
+        name: result.player.name,
+        position: result.player.position,
+        projected_minutes: getMinutesUsed(result),
+        minutes_source: result.inputs.minutes_source,
+        projected_points: projectedPoints,
+        reconciled_points: reconciled ? parseFloat(finalPoints.toFixed(1)) : null,
+        share: target ? parseFloat((finalPoints / target).toFixed(4)) : null,
+        fantasy_points: result.fantasy.fantasyPoints
+      };
+    })
+    .sort((a, b) => b.projected_points - a.projected_points || (a.name < b.name ? -1 : 1));
+
+  return {
+    team: { team: teamRow ? teamRow.team : team, name: getTeamName(team) },
+    opponent: { team: projections[0].opponent.team, name: getTeamName(projections[0].opponent.team) },
+    expected_team_score: {
+      ratings: ratingsScore,
+      vegas_implied_total: impliedTeamTotal,
+      target,
+      source: targetSource,
+      expected_game_pace: environment.expectedGamePace
+    },
+    totals: {
+      projected_points: parseFloat(totalPoints.toFixed(1)),
+      unexplained_remainder: remainder === null ? null : parseFloat(remainder.toFixed(1)),
+      remainder_share: remainder === null || !target ? null : parseFloat((remainder / target).toFixed(4)),
+      projected_minutes: parseFloat(totalMinutes.toFixed(1)),
+      unassigned_minutes: parseFloat((TEAM_MINUTES - totalMinutes).toFixed(1)),
+      minutes_coverage: parseFloat(minutesCoverage.toFixed(4)),
+      covered_target: coveredTarget === null ? null : parseFloat(coveredTarget.toFixed(1)),
+      reconciled,
+      reconciled_remainder: reconciledRemainder === null ? null : parseFloat(reconciledRemainder.toFixed(1)),
+      scale_factor: parseFloat(scaleFactor.toFixed(4))
+    },
+    players: playerRows,
+    teammates_out: absentNames,
+    skipped,
+    warnings
+  };
+}
+
+module.exports = {
+  projectTeam
+};
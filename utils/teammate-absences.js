@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Teammate-out usage and minutes redistribution.
+ * Derives how much extra shot volume and playing time a player picks up when
+ * teammates are absent, from each absent player's usage_percentage and
+ * minutes_per_game.
+ *
+ * Minutes: a team plays 240 player-minutes per game. An absent player's minutes
+ * are spread across the remaining rotation in proportion to each remaining
+ * player's minutes, so a player receives freed × (player MPG ÷ remaining rotation MPG).
+ * Extra minutes stop at a 40-minute ceiling (or the supplied projection, if higher),
+ * since coaches rarely push starters past it to cover for an injury.
+ *
+ * Usage: while the absent player would have been on court (MPG ÷ 48 of the time),
+ * their usage above a replacement-level 20% is absorbed by the other four players
+ * on the floor in proportion to their own usage. That raises each remaining
+ * player's usage by (absent usage − 20) ÷ (100 − absent usage) for the
+ * overlapping minutes.
+ */
+
+// Player-minutes available to a team in a regulation game (5 players × 48 minutes)
+const TEAM_MINUTES = 240;
+
+// Most minutes a player is projected to reach by absorbing absent teammates' minutes
+const ABSENCE_MINUTES_CEILING = 40;
+
+// Usage of the bench replacement who takes the absent player's court time
+const REPLACEMENT_USAGE = 20;
+
+/**
+ * Calculates the usage multiplier a player receives from absent teammates.
+ * @param {Object[]} absentPlayers - Absent player rows (usage_percentage, minutes_per_game).
+ * @returns {Object} The combined multiplier and each absent player's contribution.
+ */
+function calculateUsageRedistribution(absentPlayers) {
+  let multiplier = 1.0;
+  const contributions = absentPlayers.map(absent => {
+    const excessUsage = Math.max(0, absent.usage_percentage - REPLACEMENT_USAGE);
+    const onCourtShare = Math.min(48, absent.minutes_per_game) / 48;
+    const boost = (excessUsage / (100 - absent.usage_percentage)) * onCourtShare;
+    multiplier += boost;
+    return boost;
+  });
+  return { multiplier, contributions };
+}
+
+/**
+ * Calculates the extra minutes a player receives from absent teammates.
+ * @param {number} playerMinutesPerGame - The player's season minutes per game.
+ * @param {Object[]} absentPlayers - Absent player rows (minutes_per_game).
+ * @returns {Object} Total extra minutes and the minutes each absence frees up for the player.
+ */
+function calculateMinutesRedistribution(playerMinutesPerGame, absentPlayers) {
+  const freedMinutes = absentPlayers.reduce((sum, absent) => sum + absent.minutes_per_game, 0);
+  const remainingRotationMinutes = TEAM_MINUTES - freedMinutes;
+  if (remainingRotationMinutes <= 0) {
+    throw new Error('Absent teammates account for all of the team\'s minutes.');
+  }
+  const playerShare = playerMinutesPerGame / remainingRotationMinutes;
+  const contributions = absentPlayers.map(absent => absent.minutes_per_game * playerShare);
+  return {
+    extraMinutes: freedMinutes * playerShare,
+    contributions
+  };
+}
+
+/**
+ * Calculates the combined usage and minutes adjustments for a player with teammates out.
+ * @param {Object} player - The projected player's row (minutes_per_game).
+ * @param {Object[]} absentPlayers - Absent teammate rows (player, usage_percentage, minutes_per_game).
+ * @param {number} baseMinutes - The player's projected minutes before absences.
+ * @returns {Object} usageMultiplier, extraMinutes (after the ceiling), whether the
+ * ceiling applied, and a per-teammate breakdown.
+ * @throws {Error} If any row is missing usage or minutes data.
+ */
+function calculateTeammateAbsenceAdjustments(player, absentPlayers, baseMinutes) {
+  [player, ...absentPlayers].forEach(row => {
+    if (typeof row.minutes_per_game !== 'number' || !isFinite(row.minutes_per_game) || row.minutes_per_game < 0) {
+      throw new Error(`Missing or invalid minutes_per_game for ${row.player}.`);
+    }
+  });
+  absentPlayers.forEach(row => {
+    if (typeof row.usage_percentage !== 'number' || !isFinite(row.usage_percentage) ||
+        row.usage_percentage < 0 || row.usage_percentage >= 100) {
+      throw new Error(`Missing or invalid usage_percentage for ${row.player}.`);
+    }
+  });
+
+  const usage = calculateUsageRedistribution(absentPlayers);
+  const minutes = calculateMinutesRedistribution(player.minutes_per_game, absentPlayers);
+
+  const ceiling = Math.max(baseMinutes, ABSENCE_MINUTES_CEILING);
+  const extraMinutes = Math.min(minutes.extraMinutes, ceiling - baseMinutes);
+  // Scale each teammate's contribution so the breakdown still sums to the capped total
+  const minutesScale = minutes.extraMinutes > 0 ? extraMinutes / minutes.extraMinutes : 0;
+
+  return {
+    usageMultiplier: usage.multiplier,
+    extraMinutes,
+    minutesCeilingApplied: extraMinutes < minutes.extraMinutes,
+    teammates: absentPlayers.map((absent, index) => ({
+      name: absent.player,
+      usage_percentage: absent.usage_percentage,
+      minutes_per_game: absent.minutes_per_game,
+      usageBoost: parseFloat(usage.contributions[index].toFixed(4)),
+      extraMinutes: parseFloat((minutes.contributions[index] * minutesScale).toFixed(1))
+    }))
+  };
+}
+
+module.exports = {
+  TEAM_MINUTES,
+  ABSENCE_MINUTES_CEILING,
+  REPLACEMENT_USAGE,
+  calculateUsageRedistribution,
+  calculateMinutesRedistribution,
+  calculateTeammateAbsenceAdjustments
+};
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview NBA team abbreviations.
+ * The player stats and team pace files use Basketball-Reference abbreviations
+ * (e.g. "CHO", "PHO", "BRK"), while other sources use "CHA", "PHX", "BKN" and
+ * so on. Everything is normalized to the Basketball-Reference form.
+ */
+
+const TEAMS = [
+  { abbr: 'ATL', name: 'Atlanta Hawks', aliases: [] },
+  { abbr: 'BOS', name: 'Boston Celtics', aliases: [] },
+  { abbr: 'BRK', name: 'Brooklyn Nets', aliases: ['BKN', 'BK', 'NJN'] },
+  { abbr: 'CHO', name: 'Charlotte Hornets', aliases: ['CHA', 'CHH'] },
+  { abbr: 'CHI', name: 'Chicago Bulls', aliases: [] },
+  { abbr: 'CLE', name: 'Cleveland Cavaliers', aliases: [] },
+  { abbr: 'DAL', name: 'Dallas Mavericks', aliases: [] },
+  { abbr: 'DEN', name: 'Denver Nuggets', aliases: [] },
+  { abbr: 'DET', name: 'Detroit Pistons', aliases: [] },
+  { abbr: 'GSW', name: 'Golden State Warriors', aliases: ['GS'] },
+  { abbr: 'HOU', name: 'Houston Rockets', aliases: [] },
+  { abbr: 'IND', name: 'Indiana Pacers', aliases: [] },
+  { abbr: 'LAC', name: 'Los Angeles Clippers', aliases: ['LA Clippers'] },
+  { abbr: 'LAL', name: 'Los Angeles Lakers', aliases: ['LA Lakers'] },
+  { abbr: 'MEM', name: 'Memphis Grizzlies', aliases: [] },
+  { abbr: 'MIA', name: 'Miami Heat', aliases: [] },
+  { abbr: 'MIL', name: 'Milwaukee Bucks', aliases: [] },
+  { abbr: 'MIN', name: 'Minnesota Timberwolves', aliases: [] },
+  { abbr: 'NOP', name: 'New Orleans Pelicans', aliases: ['NO', 'NOR'] },
+  { abbr: 'NYK', name: 'New York Knicks', aliases: ['NY'] },
+  { abbr: 'OKC', name: 'Oklahoma City Thunder', aliases: [] },
+  { abbr: 'ORL', name: 'Orlando Magic', aliases: [] },
+  { abbr: 'PHI', name: 'Philadelphia 76ers', aliases: [] },
+  { abbr: 'PHO', name: 'Phoenix Suns', aliases: ['PHX'] },
+  { abbr: 'POR', name: 'Portland Trail Blazers', aliases: [] },
+  { abbr: 'SAC', name: 'Sacramento Kings', aliases: [] },
+  { abbr: 'SAS', name: 'San Antonio Spurs', aliases: ['SA'] },
+  { abbr: 'TOR', name: 'Toronto Raptors', aliases: [] },
+  { abbr: 'UTA', name: 'Utah Jazz', aliases: ['UTAH', 'UTH'] },
+  { abbr: 'WAS', name: 'Washington Wizards', aliases: ['WSH'] }
+];
+
+// Lookup of every accepted spelling (upper-cased) to the canonical abbreviation
+const TEAM_LOOKUP = {};
+TEAMS.forEach(team => {
+  [team.abbr, team.name, ...team.aliases].forEach(key => {
+    TEAM_LOOKUP[key.toUpperCase()] = team.abbr;
+  });
+});
+
+/**
+ * Normalizes a team abbreviation or full name to the Basketball-Reference abbreviation.
+ * Trailing "*" (Basketball-Reference's playoff marker) is ignored.
+ * @param {string} value - Abbreviation or team name (e.g., "PHX", "Phoenix Suns").
+ * @returns {string|null} Canonical abbreviation (e.g., "PHO"), or null if unknown.
+ */
+function normalizeTeamAbbreviation(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const key = value.replace(/\*+$/, '').trim().toUpperCase();
+  return TEAM_LOOKUP[key] || null;
+}
+
+/**
+ * Returns the full name of a team.
+ * @param {string} abbr - Any accepted abbreviation or name.
+ * @returns {string|null} Team name, or null if unknown.
+ */
+function getTeamName(abbr) {
+  const canonical = normalizeTeamAbbreviation(abbr);
+  const team = TEAMS.find(entry => entry.abbr === canonical);
+  return team ? team.name : null;
+}
+
+module.exports = {
+  TEAMS,
+  normalizeTeamAbbreviation,
+  getTeamName
+};